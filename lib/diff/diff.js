@@ -29,6 +29,7 @@ function primitive(v) {
   if (v === true || v === false) return true;
   if (typeof v === `number`) return true;
   if (typeof v === `string`) return true;
+  if (v instanceof Date) return true;
   if (v instanceof Array) return true;
 }
 
@@ -51,6 +52,7 @@ function stringHash(data) {
 function valueHash(data) {
   if (typeof data === `boolean`) data = data.toString();
   else if (typeof data === `number`) data = data.toString();
+  else if (data instanceof Date) data = data.toISOString();
 
   if (typeof data === `string`) return stringHash(data);
 
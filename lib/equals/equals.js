@@ -24,6 +24,11 @@ export function equals(v1, v2, strict = true) {
   // primitive and alias equality?
   if (strict ? v1 === v2 : v1 == v2) return true;
 
+  // dates are objects, but without any enumerable properties to compare.
+  if (v1 instanceof Date && v2 instanceof Date) {
+    return v1.getTime() === v2.getTime();
+  }
+
   // complex equality?
   if (array(v1) && array(v2)) return arrayEquals(v1, v2, strict);
   if (iterable(v1) && iterable(v2)) return iterableEquals(v1, v2, strict);
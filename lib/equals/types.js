@@ -4,6 +4,13 @@ export const TYPE_DEFAULTS = {
   string: ``,
 };
 
+// ISO-8601 date, or date-and-time, strings (including datetime-local form values).
+const ISO_DATE =
+  /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Date objects are only useful if they actually represent a moment in time.
+const validDate = (v) => v instanceof Date && !isNaN(v.getTime());
+
 // A lookup table of equality evaluators for the various data types.
 export const TYPES = {
   boolean: (v, strict = true) => {
@@ -39,6 +46,18 @@ export const TYPES = {
     return tov === `number` || tov === `boolean` || v instanceof String;
   },
 
+  date: (v, strict = true) => {
+    if (validDate(v)) return true;
+    if (strict) return false;
+    // ISO strings are what dates look like in JSON, so those can be coerced.
+    if (typeof v === `string` || v instanceof String) {
+      return ISO_DATE.test(v) && validDate(new Date(v));
+    }
+    return false;
+  },
+
+  datetime: (v, strict = true) => TYPES.date(v, strict),
+
   symbol: (v) => {
     // the key property of symbols is that they are incoercible singletons:
     return typeof v === `symbol`;
@@ -51,6 +70,7 @@ export const TYPES = {
   },
 
   iterable: (obj) => {
+    if (obj === undefined || obj === null) return false;
     // Note: String objects do not count, even though they're iterable.
     if (typeof obj === `string` || obj instanceof String) return false;
     return obj.__proto__.constructor.prototype[Symbol.iterator];
@@ -57,7 +57,7 @@ export class NothingToMigrate extends Error {
 
 export class PropertySchemaViolation extends Error {
   /**
-   * Used in schema validation code, specifically the array wrapper, to signal an illegal value assignment.
+   * Used in schema validation code, specifically the array and map wrappers, to signal an illegal value assignment.
    * @name Errors.PropertySchemaViolation
    * @member
    */
@@ -80,6 +80,42 @@ export class MissingChoicesArray extends Error {
   }
 }
 
+export class MissingUnionModels extends Error {
+  /**
+   * Used in the model fields code to signal that the list of models for a <code>oneOf</code> field is missing or empty.
+   * @name Errors.MissingUnionModels
+   * @member
+   */
+  constructor() {
+    super();
+    this.message = `Missing model array for oneOf field.`;
+  }
+}
+
+export class MissingDiscriminator extends Error {
+  /**
+   * Used in the model fields code to signal that a <code>oneOf</code> field has no <code>discriminator</code> option.
+   * @name Errors.MissingDiscriminator
+   * @member
+   */
+  constructor() {
+    super();
+    this.message = `Missing discriminator for oneOf field.`;
+  }
+}
+
+export class NullableSubmodel extends Error {
+  /**
+   * Used in the model fields code to signal that a <code>model</code> or <code>oneOf</code> field was given the <code>nullable</code> option, which is only supported for fields with primitive values.
+   * @name Errors.NullableSubmodel
+   * @member
+   */
+  constructor() {
+    super();
+    this.message = `Model and oneOf fields cannot be nullable.`;
+  }
+}
+
 export class NoStoreFound extends Error {
   /**
    * Used in the {@link Models} code when a code path assumes that there is a store available when there isn't.
@@ -118,6 +154,24 @@ export class TypeNotMatchedToChoices extends Error {
   }
 }
 
+export class InvalidDateOption extends Error {
+  /**
+   * Used in the model fields code when a date or datetime field is declared with a <code>default</code>, <code>min</code>, or <code>max</code> value that is not a Date or ISO-8601 string.
+   * @name Errors.InvalidDateOption
+   * @member
+   * @param {String} type - Field type for model field.
+   * @param {String} option - The name of the offending option.
+   * @param {*} value - The value that could not be interpreted as a date.
+   */
+  constructor(type, option, value) {
+    super();
+    this.message = `Cannot declare ${type} field with ${option} value [${value}], as it is not a Date or ISO-8601 string.`;
+    this.type = type;
+    this.option = option;
+    this.value = value;
+  }
+}
+
 export class FieldFailedCustomValidation extends Error {
   /**
    * Used in the model field code to signal that a value did not pass custom validation (even if it passed basic validation).
@@ -132,6 +186,40 @@ export class FieldFailedCustomValidation extends Error {
   }
 }
 
+export class IncompatibleFieldOverride extends Error {
+  /**
+   * Used in the model registration process when a model subclass overrides one of its parent model's fields with a field of a different kind.
+   * @name Errors.IncompatibleFieldOverride
+   * @member
+   * @param {String} modelName - Model class name.
+   * @param {String} key - The name of the overridden field.
+   * @param {String} parentName - The parent model's class name.
+   */
+  constructor(modelName, key, parentName) {
+    super();
+    this.message = `${modelName} cannot override ${parentName}'s ${key} field with a different kind of field.`;
+    this.modelName = modelName;
+    this.key = key;
+    this.parentName = parentName;
+  }
+}
+
+export class MissingSubclassName extends Error {
+  /**
+   * Used in the model registration process when a distinct model subclass does not declare its own <code>__meta.name</code>.
+   * @name Errors.MissingSubclassName
+   * @member
+   * @param {String} modelName - Model class name.
+   * @param {String} parentName - The parent model's class name.
+   */
+  constructor(modelName, parentName) {
+    super();
+    this.message = `${modelName} extends ${parentName}, and must declare its own __meta.name, as it is a distinct model.`;
+    this.modelName = modelName;
+    this.parentName = parentName;
+  }
+}
+
 export class ModelFormDeclarationHasUnknownFields extends Error {
   /**
    * Used in the model registration process when a model with __meta.form code refers to fields that do not exist on the model.
@@ -211,6 +299,53 @@ export class ModelFromMissingData extends Error {
   }
 }
 
+export class ReadOnlyAssignment extends Error {
+  /**
+   * Used in the model code to signal that a value was assigned to a <code>readonly</code> field, to a <code>writeOnce</code> field that already has a value, or to a field of a frozen model.
+   * @name Errors.ReadOnlyAssignment
+   * @member
+   * @param {String} key - Model field name.
+   * @param {String} reason - Why the field could not be assigned to.
+   */
+  constructor(key, reason) {
+    super();
+    this.message = `${key} cannot be changed, as it ${reason}.`;
+    this.key = key;
+  }
+}
+
+export class InvalidModelUpdate extends Error {
+  /**
+   * Used in {@link Model} to signal that an <code>update()</code> was rejected because its data did not pass validation.
+   * @name Errors.InvalidModelUpdate
+   * @member
+   * @param {String} modelName - Model class name.
+   * @param {String[]} errors - Array of error strings describing all problems found.
+   */
+  constructor(modelName, errors) {
+    super();
+    this.message = `Update data did not pass validation for ${modelName} schema.`;
+    this.modelName = modelName;
+    this.errors = errors;
+  }
+}
+
+export class ModelFailedValidation extends Error {
+  /**
+   * Used in {@link Models} and {@link Model} to signal that a model instance did not pass its model-level <code>__meta.validate</code> validation.
+   * @name Errors.ModelFailedValidation
+   * @member
+   * @param {String} modelName - Model class name.
+   * @param {String[]} errors - Array of error strings describing all problems found.
+   */
+  constructor(modelName, errors) {
+    super();
+    this.message = `${modelName} instance did not pass model validation.`;
+    this.modelName = modelName;
+    this.errors = errors;
+  }
+}
+
 export class IncompleteModelSave extends Error {
   /**
    * Used in {@link Model} to signal that the user tried to save a model that is missing required values (something which can only be the case if the model was built using the ALLOW_INCOMPLETE symbol)
@@ -227,6 +362,22 @@ export class IncompleteModelSave extends Error {
   }
 }
 
+export class OperationVetoed extends Error {
+  /**
+   * Used in {@link Models} to signal that a model's <code>before*</code> lifecycle hook vetoed a create, save, or delete operation by returning <code>false</code>.
+   * @name Errors.OperationVetoed
+   * @member
+   * @param {String} modelName - Model class name.
+   * @param {String} hook - The name of the hook that vetoed the operation.
+   */
+  constructor(modelName, hook) {
+    super();
+    this.message = `${modelName}.${hook}() vetoed the operation.`;
+    this.modelName = modelName;
+    this.hook = hook;
+  }
+}
+
 export class DoNotUseModelConstructor extends Error {
   /**
    * Thrown when code tries to construct a model using the <code>new</code> keyword, rather than the <code>create()</code> function.
@@ -241,6 +392,24 @@ export class DoNotUseModelConstructor extends Error {
   }
 }
 
+export class UnknownProperties extends Error {
+  /**
+   * Used in {@link Model} to signal that data for a model with a <code>__meta.strict: "reject"</code> policy contains properties that are not in its schema.
+   * @name Errors.UnknownProperties
+   * @member
+   * @param {String} modelName - Model class name.
+   * @param {String[]} keypaths - The keypaths for all properties that are not in the schema.
+   */
+  constructor(modelName, keypaths) {
+    super();
+    this.message = `${modelName} data contains properties that are not in its schema: [${keypaths.join(
+      `, `
+    )}].`;
+    this.modelName = modelName;
+    this.keypaths = keypaths;
+  }
+}
+
 export class BadModelDataSubmission extends Error {
   /**
    * Used in {@link Model} to signal that a data update using a form submission object did not succeed due to validation failure.
@@ -272,6 +441,56 @@ export class UndefinedKey extends Error {
   }
 }
 
+export class NotAReferenceField extends Error {
+  /**
+   * Used in {@link Model} to signal that <code>resolve()</code> was called for a field that is not a reference field.
+   * @name Errors.NotAReferenceField
+   * @member
+   * @param {String} key - Model field name.
+   * @param {String} modelName - Model class name.
+   */
+  constructor(key, modelName) {
+    super();
+    this.message = `Property [${key}] is not a reference field for model ${modelName}.`;
+    this.key = key;
+    this.modelName = modelName;
+  }
+}
+
+export class UnknownModelEvent extends Error {
+  /**
+   * Used in {@link Model} to signal that <code>on()</code> was called for an event other than "change" or "change:keypath".
+   * @name Errors.UnknownModelEvent
+   * @member
+   * @param {String} modelName - Model class name.
+   * @param {String} event - The event name that was used.
+   */
+  constructor(modelName, event) {
+    super();
+    this.message = `Unknown event [${event}] for model ${modelName}, use "change" or "change:keypath".`;
+    this.modelName = modelName;
+    this.event = event;
+  }
+}
+
+export class MissingReferencedRecord extends Error {
+  /**
+   * Used in {@link Models} to signal that a model could not be saved because one of its reference fields points to a record that does not exist.
+   * @name Errors.MissingReferencedRecord
+   * @member
+   * @param {String} key - Model field name.
+   * @param {String} modelName - Referenced model class name.
+   * @param {String} recordName - The referenced record name.
+   */
+  constructor(key, modelName, recordName) {
+    super();
+    this.message = `Property [${key}] references ${modelName} record [${recordName}], which does not exist.`;
+    this.key = key;
+    this.modelName = modelName;
+    this.recordName = recordName;
+  }
+}
+
 export class RequiredFieldsMissing extends Error {
   /**
    * Used in {@link Models} to signal that something tried to build a {@link Model} without specifying values for all <code>required</code> properties in that model.
@@ -320,6 +539,34 @@ export class InvalidAssignment extends Error {
   }
 }
 
+export class InvalidRecordName extends Error {
+  /**
+   * Used to signal a record name cannot be used, e.g. because it would resolve to a location outside of the model's data
+   * @name Errors.InvalidRecordName
+   * @member
+   * @param {String} recordName - The record name in question.
+   */
+  constructor(recordName) {
+    super();
+    this.message = `[${recordName}] is not a valid record name.`;
+    this.recordName = recordName;
+  }
+}
+
+export class RecordAlreadyExists extends Error {
+  /**
+   * Used to signal a record cannot be written because a different record already exists in its place
+   * @name Errors.RecordAlreadyExists
+   * @member
+   * @param {String} recordIdentifier - The fully qualified name of the record in question.
+   */
+  constructor(recordIdentifier) {
+    super();
+    this.message = `Record ${recordIdentifier} already exists.`;
+    this.recordIdentifier = recordIdentifier;
+  }
+}
+
 export class RecordDoesNotExist extends Error {
   /**
    * Used to signal a record cannot be resolved by a backend
@@ -380,6 +627,22 @@ export class MissingRecordNameBinding extends Error {
   }
 }
 
+export class IncompleteRecordName extends Error {
+  /**
+   * Used by the schema code to signal that a composite record name could not be built, because one of its parts has no value.
+   * @name Errors.IncompleteRecordName
+   * @member
+   * @param {String} modelName - Model class name.
+   * @param {String} keypath - The keypath for the missing record name part.
+   */
+  constructor(modelName, keypath) {
+    super();
+    this.message = `Cannot build a ${modelName} record name, because [${keypath}] has no value.`;
+    this.modelName = modelName;
+    this.keypath = keypath;
+  }
+}
+
 export class MissingImplementation extends Error {
   /**
    * Thrown by anything that intends to be an abstract superclass, to make sure subclasses implement the necessary methods.
@@ -3,7 +3,12 @@
  */
 
 import labelFunction from "./label-function.js";
-import { getCreateFunction, __appendChildNode } from "./tree-helpers.js";
+import {
+  getCreateFunction,
+  getInputAttributes,
+  __appendChildNode,
+  __appendRepeatableNodes,
+} from "./tree-helpers.js";
 
 /**
  * <p>
@@ -80,6 +85,24 @@ function processFormTreeField(field_name, schema, object, options) {
     });
   }
 
+  if (schemaEntry.__meta.map) {
+    return create(`div`, {
+      children: [
+        create(`label`, { for: id, children: [label(field_name)] }),
+        createMapFieldset(id, schemaEntry, ref, options),
+      ],
+    });
+  }
+
+  if (schemaEntry.shapes) {
+    return create(`div`, {
+      children: [
+        create(`label`, { for: id, children: [label(field_name)] }),
+        createUnionFieldset(id, schemaEntry, ref, options),
+      ],
+    });
+  }
+
   if (shape) {
     if (!shape.__meta) {
       shape.__meta = {};
@@ -97,7 +120,11 @@ function processFormTreeField(field_name, schema, object, options) {
     create(`label`, { for: id, children: [label(field_name)] }),
   ];
 
-  __appendChildNode(
+  const append = schemaEntry.__meta.array
+    ? __appendRepeatableNodes
+    : __appendChildNode;
+
+  append(
     fieldElements,
     create,
     id,
@@ -106,7 +133,9 @@ function processFormTreeField(field_name, schema, object, options) {
     ref,
     required,
     options.disabled,
-    options.inputHandler
+    options.inputHandler,
+    getInputAttributes(schemaEntry),
+    schemaEntry.__meta.nullable
   );
 
   const children = [
@@ -124,6 +153,97 @@ function processFormTreeField(field_name, schema, object, options) {
   return div;
 }
 
+/**
+ * Maps get a repeatable set of key/value entries, named using "field.0.key",
+ * "field.0.value", etc. keypaths: one entry per key in the map, plus one
+ * empty entry for adding a new key.
+ * @ignore
+ */
+function createMapFieldset(id, schemaEntry, ref = {}, options) {
+  const { create } = options;
+  const { type, choices, shape } = schemaEntry;
+  const { keyPattern } = schemaEntry.__meta;
+
+  const empty = [``, shape ? undefined : ``];
+  const entries = [...Object.entries(ref), empty].map(([key, value], i) => {
+    const entryId = `${id}.${i}`;
+    const keyProps = {
+      type: `text`,
+      id: `${entryId}.key`,
+      name: `${entryId}.key`,
+      value: key,
+    };
+    if (keyPattern) keyProps.pattern = keyPattern.source ?? keyPattern;
+    if (options.disabled !== undefined) keyProps.disabled = options.disabled;
+
+    const children = [create(`input`, keyProps)];
+
+    if (shape) {
+      shape.__meta ??= {};
+      shape.__meta.prefix = `${entryId}.value`;
+      children.push(
+        create(`fieldset`, {
+          id: `${entryId}.value`,
+          children: [
+            ...createFormTreeComponents(shape, value ?? {}, options),
+          ].flat(),
+        })
+      );
+    } else {
+      __appendChildNode(
+        children,
+        create,
+        `${entryId}.value`,
+        choices,
+        type,
+        value,
+        undefined,
+        options.disabled,
+        options.inputHandler,
+        getInputAttributes(schemaEntry)
+      );
+    }
+
+    return create(`div`, { class: `map-entry`, children });
+  });
+
+  return create(`fieldset`, { id, class: `map`, children: entries });
+}
+
+/**
+ * Unions get a selector for the discriminator value, followed by
+ * the fields for whichever model the current value is an instance of.
+ * @ignore
+ */
+function createUnionFieldset(id, schemaEntry, ref, options) {
+  const { create } = options;
+  const { shapes } = schemaEntry;
+  const { discriminator, required } = schemaEntry.__meta;
+  const kind = ref?.[discriminator];
+
+  const children = [];
+  __appendChildNode(
+    children,
+    create,
+    `${id}.${discriminator}`,
+    Object.keys(shapes),
+    undefined,
+    kind,
+    required,
+    options.disabled,
+    options.inputHandler
+  );
+
+  const shape = shapes[kind];
+  if (shape) {
+    shape.__meta ??= {};
+    shape.__meta.prefix = id;
+    children.push(...[...createFormTreeComponents(shape, ref, options)].flat());
+  }
+
+  return create(`fieldset`, { id, class: `union`, children });
+}
+
 function createFormTreeComponents(schema, object, options) {
   const { create, label } = options;
 
@@ -275,6 +395,28 @@ function processTableTreeField(field_name, schema, object, options) {
     return createTableTreeRows(schemaEntry, ref, options).flat();
   }
 
+  if (schemaEntry.__meta.map) {
+    return create(`tr`, {
+      children: [
+        create(`td`, { title: description, children: [label(field_name)] }),
+        create(`td`, {
+          children: [createMapFieldset(id, schemaEntry, ref, options)],
+        }),
+      ],
+    });
+  }
+
+  if (schemaEntry.shapes) {
+    return create(`tr`, {
+      children: [
+        create(`td`, { title: description, children: [label(field_name)] }),
+        create(`td`, {
+          children: [createUnionFieldset(id, schemaEntry, ref, options)],
+        }),
+      ],
+    });
+  }
+
   if (shape) {
     if (!shape.__meta) {
       shape.__meta = {};
@@ -294,7 +436,9 @@ function processTableTreeField(field_name, schema, object, options) {
     children: [
       create(`td`, { title: description, children: [label(field_name)] }),
       create(`td`, {
-        children: __appendChildNode(
+        children: (schemaEntry.__meta.array
+          ? __appendRepeatableNodes
+          : __appendChildNode)(
           [],
           create,
           id,
@@ -303,7 +447,9 @@ function processTableTreeField(field_name, schema, object, options) {
           ref !== undefined ? ref : schemaEntry.default,
           required,
           options.disabled,
-          options.inputHandler
+          options.inputHandler,
+          getInputAttributes(schemaEntry),
+          schemaEntry.__meta.nullable
         ),
       }),
     ],
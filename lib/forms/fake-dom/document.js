@@ -6,10 +6,16 @@ const htmlProps = [
   `for`,
   `href`,
   `id`,
+  `max`,
+  `maxlength`,
+  `min`,
+  `minlength`,
   `name`,
+  `pattern`,
   `placeholder`,
   `selected`,
   `src`,
+  `step`,
   `style`,
   `title`,
   `type`,
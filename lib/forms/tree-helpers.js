@@ -1,6 +1,11 @@
 import { MissingCreateFunction } from "../errors.js";
 import { TYPE_DEFAULTS } from "../equals/types.js";
 
+// Field types that do not map one-to-one to an input element type.
+const INPUT_TYPES = {
+  datetime: `datetime-local`,
+};
+
 export function getCreateFunction(options) {
   return (
     options?.create ??
@@ -10,6 +15,47 @@ export function getCreateFunction(options) {
   );
 }
 
+/**
+ * Date inputs want a date-only string, and datetime-local inputs
+ * want a local date-and-time string without seconds or timezone.
+ * @ignore
+ */
+function formatDate(value, type) {
+  const date = new Date(value);
+  if (type === `date`) return date.toISOString().substring(0, 10);
+  const pad = (v) => `${v}`.padStart(2, `0`);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Convert a field's schema constraints into input element attributes.
+ * @ignore
+ */
+export function getInputAttributes(schemaEntry) {
+  const { type } = schemaEntry;
+  const { min, max, integer, step } = schemaEntry.__meta;
+  const { minLength, maxLength, pattern } = schemaEntry.__meta;
+  const attributes = {};
+  if (type === `string`) {
+    if (minLength !== undefined) attributes.minlength = minLength;
+    if (maxLength !== undefined) attributes.maxlength = maxLength;
+    if (pattern !== undefined) attributes.pattern = pattern.source ?? pattern;
+  }
+  if (type === `number`) {
+    if (min !== undefined) attributes.min = min;
+    if (max !== undefined) attributes.max = max;
+    if (step !== undefined) attributes.step = step;
+    else if (integer) attributes.step = 1;
+  }
+  if (type === `date` || type === `datetime`) {
+    if (min !== undefined) attributes.min = formatDate(min, type);
+    if (max !== undefined) attributes.max = formatDate(max, type);
+  }
+  return attributes;
+}
+
 export function __appendChildNode(
   children,
   create,
@@ -19,25 +65,39 @@ export function __appendChildNode(
   ref,
   required,
   disabled,
-  inputHandler = {}
+  inputHandler = {},
+  attributes = {},
+  nullable = false
 ) {
   if (ref === undefined) {
     ref = TYPE_DEFAULTS[type];
   }
 
+  // Nullable booleans can't be a checkbox, as they have three states.
+  if (nullable && type === `boolean` && !choices) {
+    choices = [true, false];
+  }
+
   // select element
   if (choices) {
+    const options = choices.map((choice) => {
+      const props = {
+        value: choice,
+        children: [choice],
+      };
+      if (ref !== undefined && ref !== null && choice == ref) {
+        props.selected = `selected`;
+      }
+      return create(`option`, props);
+    });
+    // Nullable fields get an empty option, which gets submitted as null.
+    if (nullable) {
+      const props = { value: ``, children: [``] };
+      if (ref === null) props.selected = `selected`;
+      options.unshift(create(`option`, props));
+    }
     const props = {
-      children: choices.map((choice) => {
-        const props = {
-          value: choice,
-          children: [choice],
-        };
-        if (ref !== undefined && choice == ref) {
-          props.selected = `selected`;
-        }
-        return create(`option`, props);
-      }),
+      children: options,
       ...inputHandler,
     };
     if (id !== undefined) {
@@ -66,9 +126,15 @@ export function __appendChildNode(
 
   // standard text input
   else {
+    if (ref === null) {
+      ref = ``;
+    } else if (ref !== undefined && (type === `date` || type === `datetime`)) {
+      ref = formatDate(ref, type);
+    }
     const props = {
-      type: type,
+      type: INPUT_TYPES[type] ?? type,
       value: ref,
+      ...attributes,
       ...inputHandler,
     };
     if (id !== undefined) {
@@ -82,3 +148,63 @@ export function __appendChildNode(
 
   return children;
 }
+
+/**
+ * Array fields get a repeatable set of inputs, named using "field.0",
+ * "field.1", etc. keypaths: one input per value, plus one empty input
+ * for adding a new value. Arrays with choices instead get one checkbox
+ * per permitted value.
+ * @ignore
+ */
+export function __appendRepeatableNodes(
+  children,
+  create,
+  id,
+  choices,
+  type,
+  ref = [],
+  required,
+  disabled,
+  inputHandler = {},
+  attributes = {}
+) {
+  const inputs = [];
+
+  if (choices) {
+    choices.forEach((choice, i) => {
+      const props = {
+        type: `checkbox`,
+        id: `${id}.${i}`,
+        name: `${id}.${i}`,
+        value: choice,
+        checked: ref.includes(choice),
+        ...inputHandler,
+      };
+      if (disabled !== undefined) props.disabled = disabled;
+      inputs.push(
+        create(`input`, props),
+        create(`label`, { for: props.id, children: [choice] })
+      );
+    });
+  } else {
+    [...ref, ``].forEach((value, i) =>
+      __appendChildNode(
+        inputs,
+        create,
+        `${id}.${i}`,
+        undefined,
+        type,
+        value,
+        i === 0 ? required : undefined,
+        disabled,
+        inputHandler,
+        attributes
+      )
+    );
+  }
+
+  children.push(
+    create(`fieldset`, { id, class: `repeatable`, children: inputs })
+  );
+  return children;
+}
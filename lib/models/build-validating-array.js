@@ -1,71 +1,173 @@
 import { PropertySchemaViolation } from "../errors.js";
 import { Model } from "./model.js";
+import { Models, getReferencedRecordName } from "./models.js";
+import { sortedObjectKeys } from "./utils.js";
+import * as basicSchema from "../schema/basic-js-schema.js";
+import * as fields from "./fields.js";
+
+// Array methods that modify the array they are called on.
+const MUTATORS = [
+  `copyWithin`,
+  `fill`,
+  `pop`,
+  `push`,
+  `reverse`,
+  `shift`,
+  `sort`,
+  `splice`,
+  `unshift`,
+];
 
 /**
- * A special proxy for dealing with lists-of-submodels, acting
- * like a native Array, but letting us make sure that any
- * assignments or addition operations are wrapped by validation.
+ * A special proxy for dealing with lists of values or submodels, acting
+ * like a native Array, but making sure that any assignment or mutation
+ * is wrapped by validation: new elements are validated individually,
+ * after which the resulting list as a whole is validated against the
+ * field's schema (e.g. minItems/maxItems/unique), before the change
+ * is actually applied.
+ *
+ * Note that we can't use an Array subclass for this, as index and length
+ * assignments can only be intercepted by a Proxy. Mutator methods are not
+ * Proxy traps, so we intercept those as property lookups instead.
+ *
+ * Lists of submodels accept plain objects, which get turned into model
+ * instances, and offer toString()/valueOf() functions that work the same
+ * as they do for models.
+ *
+ * The optional beforeChange function is called before any change is
+ * made, and can throw to prevent the change (e.g. for frozen models).
  * @ignore
  */
-export function buildValidatingArray(schema, definition) {
-  const proxy = new Proxy([], {
+export function buildValidatingArray(
+  key,
+  field,
+  onChange = () => {},
+  beforeChange = () => {}
+) {
+  const array = [];
+  const __validate = getElementValidator(key, field);
+
+  // Submodel lists should be validated against the submodel's schema,
+  // rather than against the (data-converted) submodel template.
+  if (field.shape instanceof Model) {
+    field = { ...field, shape: field.shape.__proto__.constructor.schema };
+  }
+
+  const __validateList = (list) => {
+    const result = basicSchema.validate({ [key]: field }, { [key]: list });
+    if (!result.passed) {
+      throw new PropertySchemaViolation(result.errors);
+    }
+  };
+
+  const __mutate = (method, args) => {
+    beforeChange();
+    if (method === `push` || method === `unshift`) {
+      args = args.map((v) => __validate(v));
+    } else if (method === `splice`) {
+      const [start, deleteCount, ...additions] = args;
+      args = [start, deleteCount, ...additions.map((v) => __validate(v))];
+    } else if (method === `fill`) {
+      args[0] = __validate(args[0]);
+    }
+    const copy = array.slice();
+    copy[method](...args);
+    __validateList(copy);
+    const result = array[method](...args);
+    onChange(array);
+    // Methods like sort() return the array itself, which
+    // should not leak out without its validating proxy.
+    return result === array ? proxy : result;
+  };
+
+  const helpers = {
+    toString: () => JSON.stringify(array, sortedObjectKeys, 2),
+    valueOf: () => array.map((e) => (e instanceof Model ? e.valueOf() : e)),
+  };
+
+  const proxy = new Proxy(array, {
+    get: (array, property) => {
+      if (MUTATORS.includes(property)) {
+        return (...args) => __mutate(property, args);
+      }
+      if (helpers.hasOwnProperty(property)) {
+        return helpers[property];
+      }
+      return array[property];
+    },
     set: (array, property, value) => {
-      if (typeof property === `number`) __validate(value);
-      array[property] = value;
+      const index = typeof property === `string` && /^\d+$/.test(property);
+      if (index || property === `length`) {
+        beforeChange();
+        // We don't allow changes that would leave holes in the list.
+        const size = index ? parseInt(property) : value;
+        if (size > array.length) {
+          throw new PropertySchemaViolation([
+            `${key}: array changes may not leave gaps in the array.`,
+          ]);
+        }
+        if (index) value = __validate(value);
+        const copy = array.slice();
+        copy[property] = value;
+        __validateList(copy);
+        array[property] = value;
+        onChange(array);
+      } else {
+        array[property] = value;
+      }
       return true;
     },
-    push: (array, ...additions) => {
-      additions = additions.map((v) => __validate(v));
-      return array.push(...additions);
-    },
-    pop: (array) => {
-      return array.pop();
-    },
-    unshift: (array, ...additions) => {
-      additions = additions.map((v) => __validate(v));
-      return array.unshift(...additions);
-    },
-    splice: (array, pos, numberToRemove, ...additions) => {
-      additions = additions.map((v) => __validate(v));
-      return array.splice(pos, numberToRemove, ...additions);
-    },
-    concat: (array, other) => {
-      const concatenated = buildValidatingArray(schema, definition);
-      concatenated.push(...array, ...other);
-      return concatenated;
-    },
-    forEach: (array, fn) => {
-      return array.forEach(fn);
-    },
-    map: (array, fn) => {
-      const mapped = buildValidatingArray(schema, definition);
-      mapped.push(...array.map(fn));
-      return mapped;
-    },
-    slice: (array, start, end) => {
-      const mapped = buildValidatingArray(schema, definition);
-      mapped.push(...array.slice(start, end));
-      return mapped;
-    },
-    valueOf: (array) => {
-      return array.valueOf();
-    },
-    toString: (array) => {
-      return array.toString();
+    deleteProperty: (array, property) => {
+      const index = typeof property === `string` && /^\d+$/.test(property);
+      if (index && parseInt(property) < array.length) {
+        beforeChange();
+        // Deleting an element would leave a hole in the list.
+        throw new PropertySchemaViolation([
+          `${key}: array changes may not leave gaps in the array.`,
+        ]);
+      }
+      return delete array[property];
     },
   });
 
-  const __validate = (data) => {
-    if (definition instanceof Model) {
-      const Model = definition.__proto__.constructor;
-      return Model.create(data);
-    }
-    const result = basicSchema.validate(schema, data);
-    if (result.passed) return data;
-    else {
-      throw new PropertySchemaViolation(result);
+  return proxy;
+}
+
+/**
+ * Build the function that validates (and possibly converts) individual list elements.
+ * Like any other submodel, elements are created without running their lifecycle
+ * hooks, so that conversion never yields a promise.
+ * @ignore
+ */
+export function getElementValidator(key, field) {
+  const { shape } = field;
+
+  if (shape instanceof Model) {
+    const Model = shape.__proto__.constructor;
+    return (data) =>
+      data instanceof Model ? data : Models.create(Model, data, false, false);
+  }
+
+  if (shape) {
+    return (data) => {
+      const result = basicSchema.validate(shape, data);
+      if (result.passed) return data;
+      throw new PropertySchemaViolation(result.errors);
+    };
+  }
+
+  // Primitive elements are validated as if they were a single value field.
+  const __meta = { ...field.__meta, array: false, map: false };
+  const element = { ...field, __meta };
+  delete element.default;
+  const { reference } = field.__meta;
+  return (value) => {
+    // References may also be given instances of the model they reference.
+    if (reference && value instanceof Model) {
+      value = getReferencedRecordName(value);
     }
+    const result = fields.validate(key, value, element);
+    if (result.passed) return result.value;
+    throw new PropertySchemaViolation(result.errors);
   };
-
-  return proxy;
 }
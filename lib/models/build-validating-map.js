@@ -0,0 +1,94 @@
+import { PropertySchemaViolation } from "../errors.js";
+import { Model } from "./model.js";
+import { ASSIGN_WHOLE, sortedObjectKeys } from "./utils.js";
+import { getElementValidator } from "./build-validating-array.js";
+import * as basicSchema from "../schema/basic-js-schema.js";
+
+/**
+ * Symbol for replacing a validating map's content in a single validated step.
+ * @ignore
+ */
+export const REPLACE = Symbol(`replace`);
+
+/**
+ * A special proxy for dealing with maps of arbitrary keys to values or
+ * submodels, acting like a plain object, but making sure that adding,
+ * updating, and deleting keys is wrapped by validation: new values are
+ * validated individually, after which the resulting map as a whole is
+ * validated against the field's schema (e.g. its keyPattern) before the
+ * change is actually applied.
+ *
+ * Maps of submodels accept plain objects, which get turned into model
+ * instances, and offer toString()/valueOf() functions that work the same
+ * as they do for models, unless the map has keys with those names.
+ *
+ * Like validating arrays, an optional beforeChange function can be
+ * passed, which can throw to prevent changes.
+ * @ignore
+ */
+export function buildValidatingMap(
+  key,
+  field,
+  onChange = () => {},
+  beforeChange = () => {}
+) {
+  const map = {};
+  const __validate = getElementValidator(key, field);
+
+  // Submodel maps should be validated against the submodel's schema,
+  // rather than against the (data-converted) submodel template.
+  if (field.shape instanceof Model) {
+    field = { ...field, shape: field.shape.__proto__.constructor.schema };
+  }
+
+  const __validateMap = (data) => {
+    const result = basicSchema.validate({ [key]: field }, { [key]: data });
+    if (!result.passed) {
+      throw new PropertySchemaViolation(result.errors);
+    }
+  };
+
+  const __update = (data) => {
+    beforeChange();
+    __validateMap(data);
+    Object.keys(map).forEach((k) => delete map[k]);
+    Object.assign(map, data);
+    onChange(map);
+  };
+
+  const helpers = {
+    [ASSIGN_WHOLE]: true,
+    [REPLACE]: (data) => {
+      const entries = Object.entries(data).map(([k, v]) => [k, __validate(v)]);
+      __update(Object.fromEntries(entries));
+    },
+    toString: () => JSON.stringify(map, sortedObjectKeys, 2),
+    valueOf: () =>
+      Object.fromEntries(
+        Object.entries(map).map(([k, v]) => [
+          k,
+          v instanceof Model ? v.valueOf() : v,
+        ])
+      ),
+  };
+
+  return new Proxy(map, {
+    get: (map, property) => {
+      const own = Object.prototype.hasOwnProperty.call(map, property);
+      if (!own && helpers.hasOwnProperty(property)) {
+        return helpers[property];
+      }
+      return map[property];
+    },
+    set: (map, property, value) => {
+      __update({ ...map, [property]: __validate(value) });
+      return true;
+    },
+    deleteProperty: (map, property) => {
+      const copy = { ...map };
+      delete copy[property];
+      __update(copy);
+      return true;
+    },
+  });
+}
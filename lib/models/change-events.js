@@ -0,0 +1,167 @@
+import { UnknownModelEvent } from "../errors.js";
+
+/**
+ * Listeners are tracked per object, as a map of event names to handler sets.
+ * @ignore
+ */
+const LISTENERS = new WeakMap();
+
+/**
+ * Library-internal change handlers (e.g. for recording history) are kept
+ * apart from user handlers, so that removing all "change" handlers from a
+ * model does not also remove these.
+ * @ignore
+ */
+const INTERNAL_LISTENERS = new WeakMap();
+
+/**
+ * Submodels know which object, and which key on that object, they belong
+ * to, so that changes to them can be reported with their full keypath.
+ * @ignore
+ */
+const PARENTS = new WeakMap();
+
+/**
+ * Changes are queued, rather than emitted, while a batch is running.
+ * @ignore
+ */
+let batchDepth = 0;
+const pending = new Map();
+
+/**
+ * Register a change handler for an object. Valid event names
+ * are "change", and "change:keypath" for keypath-scoped changes.
+ * @ignore
+ */
+export function addListener(target, event, handler, name) {
+  if (!/^change(:.+)?$/.test(event)) {
+    throw new UnknownModelEvent(name, event);
+  }
+  if (!LISTENERS.has(target)) LISTENERS.set(target, new Map());
+  const events = LISTENERS.get(target);
+  if (!events.has(event)) events.set(event, new Set());
+  events.get(event).add(handler);
+}
+
+/**
+ * Register a library-internal handler that gets called with all changes
+ * to an object, and which cannot be removed using removeListener.
+ * @ignore
+ */
+export function addInternalListener(target, handler) {
+  if (!INTERNAL_LISTENERS.has(target))
+    INTERNAL_LISTENERS.set(target, new Set());
+  INTERNAL_LISTENERS.get(target).add(handler);
+}
+
+/**
+ * Remove a previously registered change handler. If no handler is
+ * passed, all handlers for this event are removed.
+ * @ignore
+ */
+export function removeListener(target, event, handler) {
+  const events = LISTENERS.get(target);
+  if (!events?.has(event)) return;
+  if (handler) events.get(event).delete(handler);
+  else events.delete(event);
+}
+
+/**
+ * Mark an object as living at "key" in a parent object.
+ * @ignore
+ */
+export function linkChild(parent, key, child) {
+  if (child === null || typeof child !== `object`) return;
+  PARENTS.set(child, { parent, key });
+}
+
+/**
+ * Remove an object's parent link, provided it still links to this parent.
+ * @ignore
+ */
+export function unlinkChild(parent, child) {
+  if (PARENTS.get(child)?.parent === parent) PARENTS.delete(child);
+}
+
+/**
+ * Report a change to an object's property, both to that object's
+ * handlers and to the handlers of every object it is a child of.
+ * @ignore
+ */
+export function notifyChange(target, keypath, oldValue, newValue) {
+  let level = target;
+  while (level) {
+    queueChange(level, { keypath, oldValue, newValue });
+    const link = PARENTS.get(level);
+    if (!link) break;
+    keypath = `${link.key}.${keypath}`;
+    level = link.parent;
+  }
+}
+
+/**
+ * Run a function with change notifications batched, so that handlers
+ * get called once, with all changes made while the function ran. If
+ * the function throws, and discardOnError is set, the changes made
+ * while it ran are dropped rather than reported (e.g. because they
+ * were rolled back).
+ * @ignore
+ */
+export function batchChanges(fn, discardOnError = false) {
+  const marks = new Map(
+    [...pending.entries()].map(([target, changes]) => [target, changes.length])
+  );
+  batchDepth++;
+  try {
+    return fn();
+  } catch (err) {
+    if (discardOnError) {
+      [...pending.keys()].forEach((target) => {
+        if (!marks.has(target)) pending.delete(target);
+        else pending.get(target).length = marks.get(target);
+      });
+    }
+    throw err;
+  } finally {
+    if (--batchDepth === 0) {
+      const batches = [...pending.entries()];
+      pending.clear();
+      batches.forEach(([target, changes]) => emitChanges(target, changes));
+    }
+  }
+}
+
+/**
+ * @ignore
+ */
+function queueChange(target, change) {
+  if (!LISTENERS.has(target) && !INTERNAL_LISTENERS.has(target)) return;
+  if (batchDepth === 0) return emitChanges(target, [change]);
+  if (!pending.has(target)) pending.set(target, []);
+  pending.get(target).push(change);
+}
+
+/**
+ * Call all relevant handlers. Keypath-scoped handlers get called with
+ * the changes at, below, or above (i.e. replacing) their keypath.
+ * @ignore
+ */
+function emitChanges(target, changes) {
+  const internal = INTERNAL_LISTENERS.get(target);
+  if (internal) [...internal].forEach((handler) => handler(changes));
+  const events = LISTENERS.get(target);
+  if (!events) return;
+  [...events.entries()].forEach(([event, handlers]) => {
+    const scope = event.substring(`change:`.length);
+    const relevant = !scope
+      ? changes
+      : changes.filter(
+          ({ keypath }) =>
+            keypath === scope ||
+            keypath.startsWith(`${scope}.`) ||
+            scope.startsWith(`${keypath}.`)
+        );
+    if (!relevant.length) return;
+    [...handlers].forEach((handler) => handler(relevant));
+  });
+}
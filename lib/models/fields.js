@@ -1,10 +1,34 @@
 import {
   MissingChoicesArray,
+  MissingUnionModels,
+  MissingDiscriminator,
+  NullableSubmodel,
   TypeNotMatchedToChoices,
+  InvalidDateOption,
   FieldFailedCustomValidation,
 } from "../errors.js";
 import { setDataFrom } from "./utils.js";
+import { TYPES } from "../equals/types.js";
 import * as basicSchema from "../schema/basic-js-schema.js";
+import { createModelTemplate } from "./model-inheritance.js";
+
+// Field types whose values are Date objects at runtime, and ISO strings in JSON.
+const DATE_TYPES = [`date`, `datetime`];
+
+/**
+ * The <code>__meta.recordName</code> values that make a model use generated
+ * record names, and the (hidden) field that generated names are stored in.
+ * @ignore
+ */
+export const GENERATED_RECORD_NAMES = [`auto`, `uuid`, `ulid`];
+export const RECORD_ID_FIELD = `__id`;
+
+/**
+ * The (read-only) fields that <code>__meta.timestamps</code> adds to a
+ * model, which get updated every time a model instance is saved.
+ * @ignore
+ */
+export const TIMESTAMP_FIELDS = [`createdAt`, `updatedAt`];
 
 /**
  * Generate correctly typed model fields, in the sense
@@ -24,11 +48,13 @@ class ModelField {
    */
   constructor(options = {}) {
     const defaultValue = options.default;
-    const { type, choices, shape, ...rest } = options;
+    const { type, choices, shape, shapes, ...rest } = options;
     delete rest.default;
 
     this.__meta = {};
 
+    if (shape) addRecordIdField(shape);
+
     if (shape?.__meta) {
       this.__meta = shape.__meta;
       delete shape.__meta;
@@ -40,6 +66,7 @@ class ModelField {
     if (defaultValue !== undefined) this.default = defaultValue;
     if (choices !== undefined) this.choices = choices;
     if (shape !== undefined) this.shape = shape;
+    if (shapes !== undefined) this.shapes = shapes;
   }
 }
 
@@ -57,8 +84,9 @@ class ModelField {
  * <pre><code>
  *   {
  *     required: boolean,
- *     default: any value,
+ *     default: any value, or a function that generates one per instance,
  *     choices: array of possible values,
+ *     nullable: boolean,
  *     configurable: boolean,
  *     debug: boolean,
  *   }
@@ -79,6 +107,11 @@ export class Fields {
   }
 
   /**
+   * Model field definition for string values. In addition to the
+   * standard options, string fields may specify <code>minLength</code>
+   * and <code>maxLength</code> bounds, a <code>pattern</code> that values
+   * must match, and <code>trim</code> and <code>lowercase</code> flags
+   * to normalize values before they get validated.
    *
    * @param {Object} options - an options object, see above.
    * @returns {ModelField}
@@ -86,10 +119,15 @@ export class Fields {
   static string(options = {}) {
     const type = `string`;
     testChoiceDefault(type, options);
-    return new ModelField({ type, ...options });
+    return new ModelField({ type, ...normalizePatternOption(options) });
   }
 
   /**
+   * Model field definition for numerical values. In addition to the
+   * standard options, number fields may specify <code>min</code> and
+   * <code>max</code> bounds, <code>integer: true</code> to only allow
+   * whole numbers, and a <code>step</code> size, counted from <code>min</code>
+   * (or zero, if there is no <code>min</code>).
    *
    * @param {Object} options - an options object, see above.
    * @returns {ModelField}
@@ -100,6 +138,32 @@ export class Fields {
     return new ModelField({ type, ...options });
   }
 
+  /**
+   * Model field definition for calendar dates. Values may be assigned
+   * as either Date objects or ISO-8601 strings, but are always stored
+   * as Date objects, and serialized as ISO-8601 strings.
+   *
+   * @param {Object} options - an options object, see above, which may also specify <code>min</code> and <code>max</code> dates.
+   * @returns {ModelField}
+   */
+  static date(options = {}) {
+    const type = `date`;
+    return new ModelField({ type, ...normalizeDateOptions(type, options) });
+  }
+
+  /**
+   * Model field definition for dates with a time component. This
+   * works the same as {@link Fields.date}, but gets presented as a
+   * date-and-time, rather than just a date, in generated forms.
+   *
+   * @param {Object} options - an options object, see above, which may also specify <code>min</code> and <code>max</code> datetimes.
+   * @returns {ModelField}
+   */
+  static datetime(options = {}) {
+    const type = `datetime`;
+    return new ModelField({ type, ...normalizeDateOptions(type, options) });
+  }
+
   /**
    *
    * @param {any[]} choices - Array of valid values for this field.
@@ -120,7 +184,86 @@ export class Fields {
    * @returns {ModelField}
    */
   static model(Model, options = {}) {
-    return new ModelField({ shape: new Model(this, Date.now()), ...options });
+    if (options.nullable) {
+      throw new NullableSubmodel();
+    }
+    const shape = createModelTemplate(Model, this);
+    return new ModelField({ shape, ...options });
+  }
+
+  /**
+   * Model field definition for references to other stored records. Rather
+   * than embedding the referenced model, this stores the referenced record's
+   * record name, with the referenced instance available through
+   * <code>await instance.resolve(fieldName)</code>. Reference fields may be
+   * assigned either a record name, or an instance of the referenced model.
+   *
+   * @param {Model} Model - The model class that this field references.
+   * @param {Object} options - an options object, see above.
+   * @returns {ModelField}
+   */
+  static reference(Model, options = {}) {
+    const type = `string`;
+    const field = new ModelField({ type, reference: Model.name, ...options });
+    // The model class can't be part of the (stored) schema, so we hide it.
+    Object.defineProperty(field, `model`, { enumerable: false, value: Model });
+    return field;
+  }
+
+  /**
+   * Model field definition for "discriminated unions": values that
+   * may be an instance of any one of several models. Which model a
+   * value belongs to is determined by the value's <code>discriminator</code>
+   * property, which must be the <code>__meta.name</code> of one of the
+   * models. For example, <code>Fields.oneOf([Click, KeyPress], { discriminator: "kind" })</code>
+   * will turn <code>{ kind: "click", x: 10 }</code> into a <code>Click</code> instance,
+   * provided that <code>Click.__meta.name</code> is "click".
+   *
+   * @param {Model[]} models - The list of models that values may be instances of.
+   * @param {Object} options - an options object, see above, which must specify a <code>discriminator</code>.
+   * @returns {ModelField}
+   */
+  static oneOf(models, options = {}) {
+    if (!(models instanceof Array) || models.length === 0) {
+      throw new MissingUnionModels();
+    }
+    if (!options.discriminator) {
+      throw new MissingDiscriminator();
+    }
+    if (options.nullable) {
+      throw new NullableSubmodel();
+    }
+    const shapes = {};
+    models.forEach((Model) => {
+      const shape = createModelTemplate(Model, this);
+      shapes[shape.__meta.name] = shape;
+    });
+    return new ModelField({ shapes, ...options });
+  }
+
+  /**
+   * Model field definition for maps (dictionaries) of arbitrary string
+   * keys to values. Much like "one-or-more" is handled as <code>array: true</code>,
+   * maps are handled as <code>map: true</code>, using the value field's
+   * (or value model's) definition for validating every value in the map.
+   * In addition to the standard options, map fields may specify a
+   * <code>keyPattern</code> that all keys must match.
+   *
+   * @param {ModelField|Model} valueFieldOrModel - The field definition, or model class, for this map's values.
+   * @param {Object} options - an options object, see above.
+   * @returns {ModelField}
+   */
+  static map(valueFieldOrModel, options = {}) {
+    options = { ...normalizePatternOption(options, `keyPattern`), map: true };
+    if (!(valueFieldOrModel instanceof ModelField)) {
+      return Fields.model(valueFieldOrModel, options);
+    }
+    // Note that the value field's default (if any) makes no sense for a map.
+    const { __meta, type, choices, model } = valueFieldOrModel;
+    const field = new ModelField({ type, choices, ...__meta, ...options });
+    // Maps of references need to know which model they reference, too.
+    if (model) Object.defineProperty(field, `model`, { value: model });
+    return field;
   }
 }
 
@@ -131,13 +274,125 @@ export class Fields {
  */
 function testChoiceDefault(type, options) {
   const v = options.default;
-  if (v !== undefined && options.choices) {
+  if (v !== undefined && typeof v !== `function` && options.choices) {
     if (typeof v !== type && !options.choices.includes(v)) {
       throw new TypeNotMatchedToChoices(type);
     }
   }
 }
 
+/**
+ * Date options are stored as ISO strings, so that schema
+ * serialization and schema diffing work with plain data.
+ * @ignore
+ * @param {*} type
+ * @param {Object} options - an options object, see above.
+ * @returns {Object} a copy of the options object with normalized date values.
+ */
+function normalizeDateOptions(type, options) {
+  const normalized = { ...options };
+  [`default`, `min`, `max`].forEach((option) => {
+    const v = options[option];
+    if (v === undefined) return;
+    // Default factories produce values that get validated on assignment.
+    if (option === `default` && typeof v === `function`) return;
+    if (!TYPES[type](v, false)) {
+      throw new InvalidDateOption(type, option, v);
+    }
+    normalized[option] = v instanceof Date ? v.toISOString() : `${v}`;
+  });
+  return normalized;
+}
+
+/**
+ * RegExp objects do not survive JSON serialization, so patterns
+ * are stored as plain {source, flags} objects instead.
+ * @ignore
+ * @param {Object} options - an options object, see above.
+ * @param {String} name - the name of the pattern option.
+ * @returns {Object} a copy of the options object with a normalized pattern.
+ */
+function normalizePatternOption(options, name = `pattern`) {
+  let pattern = options[name];
+  if (pattern === undefined) return options;
+  if (!(pattern instanceof RegExp)) pattern = new RegExp(pattern);
+  const { source, flags } = pattern;
+  return { ...options, [name]: { source, flags } };
+}
+
+/**
+ * Add the hidden, read-only record id field to a model (template), if
+ * the model's recordName says that its record names are generated.
+ *
+ * @param {Model} model - A model (template) instance.
+ * @returns {Model} the model that was passed in.
+ * @ignore
+ */
+export function addRecordIdField(model) {
+  const recordName = model.__meta?.recordName;
+  if (!GENERATED_RECORD_NAMES.includes(recordName)) return model;
+  if (model[RECORD_ID_FIELD] === undefined) {
+    model[RECORD_ID_FIELD] = Fields.string({
+      readonly: true,
+      configurable: false,
+    });
+  }
+  return model;
+}
+
+/**
+ * Add the read-only createdAt and updatedAt fields to a model (template),
+ * if the model's <code>__meta.timestamps</code> is set, unless the model
+ * declares those fields itself. These fields are not configurable, so
+ * that they are left out of generated forms.
+ *
+ * @param {Model} model - A model (template) instance.
+ * @returns {Model} the model that was passed in.
+ * @ignore
+ */
+export function addTimestampFields(model) {
+  if (!model.__meta?.timestamps) return model;
+  TIMESTAMP_FIELDS.forEach((key) => {
+    if (model[key] === undefined) {
+      model[key] = Fields.datetime({ readonly: true, configurable: false });
+    }
+  });
+  return model;
+}
+
+/**
+ * Check whether a model field's default is a default factory,
+ * i.e. a function that generates a new default value per instance.
+ *
+ * @param {*} definition
+ * @returns {boolean} true if the default is a factory function.
+ * @ignore
+ */
+export function hasDefaultFactory(definition) {
+  return typeof definition.default === `function`;
+}
+
+/**
+ * Get the runtime default value for a model field, which is the
+ * schema's <code>default</code> value, except for date fields,
+ * where the ISO string default gets turned into a Date object.
+ *
+ * Fields with a default factory have no fixed default value, as
+ * the values that factories generate count as real data.
+ *
+ * @param {*} definition
+ * @returns {*} the default value for this field.
+ * @ignore
+ */
+export function getDefaultValue(definition) {
+  if (hasDefaultFactory(definition)) return undefined;
+  const value = definition.default;
+  if (value !== undefined && DATE_TYPES.includes(definition.type)) {
+    return new Date(value);
+  }
+  return value;
+}
+
 /**
  * Validate a model field
  *
@@ -145,7 +400,7 @@ function testChoiceDefault(type, options) {
  * @param {*} value
  * @param {*} definition
  * @param {*} strict
- * @returns {boolean} True is this key/value pair passed validation, false if it didn't. Note that the value may have been rewritten to fit the correct type if <code>strict=false</code> was used.
+ * @returns {object} A validation result, with <code>passed</code> set to true if this key/value pair passed validation, and <code>value</code> set to the validated value. Note that this value may have been rewritten to fit the correct type if <code>strict=false</code> was used.
  * @ignore
  */
 export function validate(key, value, definition, strict = false) {
@@ -163,14 +418,20 @@ export function validate(key, value, definition, strict = false) {
   });
 
   const customValidate = definition.__meta.validate;
-  const basic = basicSchema.validate(schema, { [key]: value }, strict);
+  const data = { [key]: value };
+  const basic = basicSchema.validate(schema, data, strict);
+  basic.value = data[key];
   if (!customValidate || !basic.passed) return basic;
 
+  // Unset (or, for nullable fields, null) values have nothing to custom-validate
+  // (required-ness has already been checked), which also allows fields to be unset again.
+  if (basic.value === undefined || basic.value === null) return basic;
+
   try {
-    if (customValidate(value) === false) {
+    if (customValidate(basic.value) === false) {
       throw new FieldFailedCustomValidation(key);
     }
-    return { passed: true };
+    return { passed: true, value: basic.value };
   } catch (err) {
     return { passed: false, errors: [err.message] };
   }
@@ -0,0 +1,126 @@
+import { createDiff, applyDiff, reverseDiff } from "../diff/diff.js";
+import { addInternalListener } from "./change-events.js";
+
+/**
+ * History is tracked per model instance, as undo and redo stacks
+ * of operation lists, with each list being a single history step.
+ * @ignore
+ */
+const HISTORY = new WeakMap();
+
+/**
+ * Get a model's (sparse) data, as used for diffing.
+ * @ignore
+ */
+function getData(instance) {
+  return JSON.parse(instance.toString());
+}
+
+/**
+ * Copy an operation list, so that applying or reversing it
+ * doesn't affect the list that is stored in the history.
+ * @ignore
+ */
+function copyOperations(operations) {
+  return JSON.parse(JSON.stringify(operations));
+}
+
+/**
+ * Start recording a model instance's history. Every change notification
+ * (i.e. a single assignment, or a batch of bulk changes) becomes a single
+ * history step, with only the most recent <code>limit</code> steps kept.
+ * @ignore
+ */
+export function enableHistory(instance, { limit = Infinity } = {}) {
+  if (HISTORY.has(instance)) {
+    HISTORY.get(instance).limit = limit;
+    return;
+  }
+
+  const history = {
+    limit,
+    undo: [],
+    redo: [],
+    replaying: false,
+    data: getData(instance),
+  };
+  HISTORY.set(instance, history);
+
+  // History is recorded using an internal handler, so that it
+  // keeps being recorded when users remove their own handlers.
+  addInternalListener(instance, () => {
+    const data = getData(instance);
+    if (!history.replaying) {
+      // We don't need the migration handler names that createDiff generates.
+      const operations = createDiff(history.data, data).map(
+        ({ fn, rollback, ...operation }) => operation
+      );
+      if (operations.length) {
+        history.undo.push(operations);
+        if (history.undo.length > history.limit) history.undo.shift();
+        history.redo = [];
+      }
+    }
+    history.data = data;
+  });
+}
+
+/**
+ * Check whether there is anything to undo.
+ * @ignore
+ */
+export function canUndo(instance) {
+  return !!HISTORY.get(instance)?.undo.length;
+}
+
+/**
+ * Check whether there is anything to redo.
+ * @ignore
+ */
+export function canRedo(instance) {
+  return !!HISTORY.get(instance)?.redo.length;
+}
+
+/**
+ * Undo the most recent history step, using the passed restore
+ * function to bring the instance to the resulting data.
+ * @ignore
+ */
+export function undo(instance, restore) {
+  if (!canUndo(instance)) return false;
+  const history = HISTORY.get(instance);
+  const operations = history.undo.pop();
+  const reversed = copyOperations(operations);
+  reverseDiff(reversed);
+  replay(instance, history, reversed, restore);
+  history.redo.push(operations);
+  return true;
+}
+
+/**
+ * Redo the most recently undone history step.
+ * @ignore
+ */
+export function redo(instance, restore) {
+  if (!canRedo(instance)) return false;
+  const history = HISTORY.get(instance);
+  const operations = history.redo.pop();
+  replay(instance, history, copyOperations(operations), restore);
+  history.undo.push(operations);
+  return true;
+}
+
+/**
+ * Apply a list of operations to an instance, without recording that as a new step.
+ * @ignore
+ */
+function replay(instance, history, operations, restore) {
+  const data = applyDiff(operations, getData(instance));
+  history.replaying = true;
+  try {
+    restore(data);
+  } finally {
+    history.replaying = false;
+  }
+  history.data = getData(instance);
+}
@@ -0,0 +1,124 @@
+import { IncompatibleFieldOverride, MissingSubclassName } from "../errors.js";
+
+/**
+ * The __meta that each model class inherits from the model class it
+ * extends, so that we only need to work out inheritance once per class.
+ * @ignore
+ */
+const INHERITED = new WeakMap();
+
+/**
+ * Create a model template, i.e. a "raw" instance of a model class, with
+ * a __meta that includes everything that it inherits from the model
+ * class(es) that it extends. Fields don't need any work, as subclass
+ * fields are class fields, too, and so simply replace their parent's.
+ * @ignore
+ */
+export function createModelTemplate(ModelClass, caller) {
+  const model = new ModelClass(caller, Date.now());
+  const inherited = getInheritedMeta(ModelClass, model, caller);
+  if (inherited) model.__meta = mergeMeta(inherited, model.__meta);
+  return model;
+}
+
+/**
+ * Get the list of model classes that a model class extends, closest first.
+ * @ignore
+ */
+export function getModelAncestors(ModelClass, caller) {
+  const ancestors = [];
+  let Parent = Object.getPrototypeOf(ModelClass);
+  while (getInheritedMeta(ModelClass, undefined, caller)) {
+    ancestors.push(Parent);
+    ModelClass = Parent;
+    Parent = Object.getPrototypeOf(ModelClass);
+  }
+  return ancestors;
+}
+
+/**
+ * Work out (and cache) what a model class inherits from its parent class,
+ * verifying that the subclass does not override its parent's fields with
+ * fields of a different kind, and that distinct subclasses have their own
+ * name, because that's what their records are stored under.
+ * @ignore
+ */
+function getInheritedMeta(ModelClass, model, caller) {
+  if (INHERITED.has(ModelClass)) return INHERITED.get(ModelClass);
+
+  // The base Model class has no fields, and so neither does its template.
+  let inherited = undefined;
+  const Parent = Object.getPrototypeOf(ModelClass);
+  if (Parent.prototype) {
+    const parent = createModelTemplate(Parent, caller);
+    if (Object.keys(parent).length) {
+      model ??= new ModelClass(caller, Date.now());
+      verifyOverrides(ModelClass, model, Parent, parent);
+      inherited = { ...parent.__meta, extends: Parent.name };
+      const { distinct, name } = mergeMeta(inherited, model.__meta);
+      if (distinct && name === parent.__meta?.name) {
+        throw new MissingSubclassName(ModelClass.name, Parent.name);
+      }
+    }
+  }
+
+  INHERITED.set(ModelClass, inherited);
+  return inherited;
+}
+
+/**
+ * A subclass's __meta values replace those of its parent, except for
+ * form sections, where the subclass's sections replace the parent's
+ * sections with the same heading, and any other sections are added.
+ * @ignore
+ */
+function mergeMeta(inherited, meta = {}) {
+  const merged = { ...inherited, ...meta };
+  if (inherited.form && meta.form && inherited.form !== meta.form) {
+    const headings = meta.form.map((section) => section.heading);
+    merged.form = [
+      ...inherited.form.filter(
+        (section) => !headings.includes(section.heading)
+      ),
+      ...meta.form,
+    ];
+  }
+  return merged;
+}
+
+/**
+ * Subclass fields may override their parent's fields, e.g. to change a
+ * default value or add a constraint, but they can't change what kind of
+ * field it is, nor widen the list of choices, as subclass instances should
+ * still have data that fits the parent model.
+ * @ignore
+ */
+function verifyOverrides(ModelClass, model, Parent, parent) {
+  Object.entries(parent).forEach(([key, field]) => {
+    if (key === `__meta`) return;
+    if (!isCompatibleOverride(field, model[key])) {
+      throw new IncompatibleFieldOverride(ModelClass.name, key, Parent.name);
+    }
+  });
+}
+
+/**
+ * @ignore
+ */
+function isCompatibleOverride(field, override) {
+  if (override === field) return true;
+  if (!override?.__meta) return false;
+  if (field.type !== override.type) return false;
+  const flags = [`array`, `map`, `reference`];
+  if (flags.some((f) => field.__meta[f] !== override.__meta[f])) return false;
+  if (!!field.shapes !== !!override.shapes) return false;
+  if (!!field.shape !== !!override.shape) return false;
+  if (field.shape && !(override.shape instanceof field.shape.constructor)) {
+    return false;
+  }
+  if (field.choices) {
+    const { choices } = override;
+    return !!choices && choices.every((c) => field.choices.includes(c));
+  }
+  return true;
+}
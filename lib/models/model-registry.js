@@ -1,11 +1,29 @@
 import {
   CouldNotFindModel,
   ModelFormDeclarationHasUnknownFields,
+  NothingToMigrate,
   SchemaMismatchForModels,
 } from "../errors.js";
 import { createDiff } from "../diff/diff.js";
 import * as migrations from "../migration/make-migration.js";
 import * as basicSchema from "../schema/basic-js-schema.js";
+import {
+  addRecordIdField,
+  addTimestampFields,
+  TIMESTAMP_FIELDS,
+} from "./fields.js";
+import { createModelTemplate } from "./model-inheritance.js";
+
+/**
+ * Build a model's schema, which is a "raw" model instance, including
+ * any fields that the library adds (e.g. for generated record names).
+ * @ignore
+ */
+function createSchema(Model) {
+  return addTimestampFields(
+    addRecordIdField(createModelTemplate(Model, registry))
+  );
+}
 
 /**
  * The model registry contains the list of current model-associated schema objects.
@@ -26,7 +44,10 @@ class ModelRegistry {
   }
 
   registerModel(Model) {
-    const schema = Model.schema ?? new Model(this, Date.now());
+    // Model subclasses inherit their parent's static schema property,
+    // so we only use the schema if this class was given its own.
+    const own = Object.prototype.hasOwnProperty.call(Model, `schema`);
+    const schema = own ? Model.schema : createSchema(Model);
 
     // verify that any `__meta.form` properties resolve to fields that actually exist.
     const missing = [];
@@ -105,7 +126,7 @@ class ModelRegistry {
     const diffList = [];
     const handleModel = async (Model) => {
       const modelName = Model.name;
-      let schema = new Model(this, Date.now());
+      let schema = createSchema(Model);
 
       // Is this the same schema as was previously stored?
       let stored = REGISTER[modelName];
@@ -128,9 +149,16 @@ class ModelRegistry {
           // Create diff, but filter out functions (e.g. `validate`) because those
           // cannot be stored in schema, those will always come from the Model class,
           // and filter out the __meta.form information, as that's purely cosmetic.
+          // Timestamp fields are managed by the library, so switching them on or
+          // off should not require a migration either.
+          const timestamps =
+            stored.__meta.timestamps || schema.__meta.timestamps;
           const diffs = createDiff(stored, schema).filter((v) => {
             if (v.value && typeof v.value === `function`) return false;
             if (v.key && v.key.endsWith(`__meta.form`)) return false;
+            if (v.key === `__meta.timestamps`) return false;
+            const field = v.key?.split(`.`)[0];
+            if (timestamps && TIMESTAMP_FIELDS.includes(field)) return false;
             return true;
           });
 
@@ -140,11 +168,19 @@ class ModelRegistry {
               value: stored.__meta.version + 1,
             });
 
-            // It is not! Someone's going to have to run data migrations
+            // It is not! If the changes only affect field metadata, such
+            // as validation constraints, there is no data to transform, and
+            // we only need to save the updated schema.
+            const migration = this.makeMigration(stored, schema, diffs);
+            if (!migration) {
+              await store.saveSchema(createSchema(Model));
+            }
+
+            // Otherwise, someone's going to have to run data migrations
             // before this model can be safely used with preexisting data.
             // So let's be nice: save the new schema to file and create a
             // migration runner so that the data can be uplifted.
-            diffList.push({ Model, stored, schema, operations: diffs });
+            else diffList.push({ Model, stored, schema, migration });
           } else {
             Object.defineProperty(schema.__meta, `version`, {
               enumerable: false,
@@ -155,7 +191,7 @@ class ModelRegistry {
           // Use a new schema, because the above code will have
           // added runtime properties that would cause a schema
           // mismatch to be flagged.
-          const schema = new Model(this, Date.now());
+          const schema = createSchema(Model);
           Object.defineProperty(schema.__meta, `version`, {
             enumerable: false,
             value: 1,
@@ -181,8 +217,8 @@ class ModelRegistry {
       // generate all migration files
       const mfList = diffList.slice();
       while (mfList.length > 0) {
-        const { stored, schema, operations } = mfList.shift();
-        await this.generateMigrationFile(stored, schema, operations);
+        const { stored, schema, migration } = mfList.shift();
+        await this.generateMigrationFile(stored, schema, migration);
       }
 
       // Then save the updated schema files. We do things in this order because if
@@ -191,7 +227,7 @@ class ModelRegistry {
       const modelList = diffList.map((e) => e.Model);
       while (modelList.length) {
         const Model = modelList.shift();
-        const schema = new Model(this, Date.now());
+        const schema = createSchema(Model);
         // Use a new schema, because the above code will have
         // added runtime properties that would cause a schema
         // mismatch to be flagged.
@@ -205,20 +241,31 @@ class ModelRegistry {
   }
 
   /**
-   * Generate a migration file that can be run with Node to uplift
+   * Save a migration file that can be run with Node to uplift
    * data files from one schema to another.
    *
    * FIXME: TODO: where do we house this? Should this go in storage-backend?
    */
-  async generateMigrationFile(schema1, schema2, operations) {
-    const migration = migrations.makeMigration(
-      schema1,
-      schema2,
-      undefined,
-      operations
-    );
+  async generateMigrationFile(schema1, schema2, migration) {
     await this.store.saveMigration(schema1, schema2, migration);
   }
+
+  /**
+   * Generate the migration runner that can be run with Node to uplift
+   * data files from one schema to another.
+   *
+   * @returns {String} the migration runner's source code, or undefined if
+   * the changes only affect field metadata, and so don't require any data
+   * transforms.
+   */
+  makeMigration(schema1, schema2, operations) {
+    try {
+      return migrations.makeMigration(schema1, schema2, undefined, operations);
+    } catch (err) {
+      if (err instanceof NothingToMigrate) return;
+      throw err;
+    }
+  }
 }
 
 const registry = new ModelRegistry();
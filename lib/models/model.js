@@ -5,12 +5,34 @@ import {
   UndefinedKey,
   IncompleteModelSave,
   BadModelDataSubmission,
+  NotAReferenceField,
+  ModelFailedValidation,
+  InvalidModelUpdate,
 } from "../errors.js";
 import { setDataFrom, sortedObjectKeys } from "./utils.js";
+import {
+  addListener,
+  batchChanges,
+  notifyChange,
+  removeListener,
+} from "./change-events.js";
 import * as basicSchema from "../schema/basic-js-schema.js";
+import { equals } from "../equals/equals.js";
+import { createDiff } from "../diff/diff.js";
+import * as history from "./model-history.js";
 import * as html from "../forms/create-html.js";
 import * as tree from "../forms/create-tree.js";
-import { Models, setupReferenceHandler } from "./models.js";
+import {
+  Models,
+  applyStrictPolicy,
+  freezeModel,
+  getAsyncFieldErrors,
+  getModelValidationErrors,
+  isFrozen,
+  setupRecordReferenceHandler,
+  setupReferenceHandler,
+  withoutWriteProtection,
+} from "./models.js";
 
 /**
  * <p>
@@ -79,10 +101,13 @@ export class Model {
    * returning a <code>Promise</code> that can be <code>await</code>ed,
    * or handled with <code>.then()</code></p>
    *
-   * <p>When no backend is used, this function will run synchronously.</p>
+   * <p>When no backend is used, this function will run synchronously,
+   * unless the model's <code>beforeCreate</code> or <code>afterCreate</code>
+   * lifecycle hook is async, in which case this returns a <code>Promise</code>
+   * for the model instance.</p>
    *
    * @param {Symbol} [allowIncomplete] - allows models to be created without specifying all required data, if set to {@link Model.ALLOW_INCOMPLETE}.
-   * @returns {Model} an instance of this model
+   * @returns {Model|Promise} an instance of this model, or a promise for one.
    * @throws See {@link Models.create} for pass-through throws.
    */
   static create(data, allowIncomplete) {
@@ -100,6 +125,51 @@ export class Model {
     );
   }
 
+  /**
+   * <p>Record the history of a model instance, so that changes can be
+   * undone and redone using {@link Model#undo} and {@link Model#redo}.
+   * Each assignment is a single history step, while bulk updates such
+   * as <code>update()</code>, <code>updateFromSubmission()</code>, and
+   * subtree assignments, are grouped into a single step.</p>
+   *
+   * <p>This can also be enabled for all instances of a model by setting
+   * <code>__meta.history</code> to either <code>true</code> or an options
+   * object.</p>
+   *
+   * @param {Model} instance - The model instance to record the history for.
+   * @param {object} [options] - An optional <code>{ limit }</code> object, where limit is the maximum number of steps to keep.
+   * @returns {Model} the instance that was passed in.
+   */
+  static withHistory(instance, options) {
+    history.enableHistory(instance, options);
+    return instance;
+  }
+
+  /**
+   * <p>Make a model instance, and all of its submodels (including those
+   * in array, map, and union fields), immutable. Any assignment to, or
+   * change of, a frozen model's values will throw a
+   * {@link Errors.ReadOnlyAssignment} error.</p>
+   *
+   * @param {Model} instance - The model instance to freeze.
+   * @returns {Model} the instance that was passed in.
+   */
+  static freeze(instance) {
+    const { schema } = instance.__proto__.constructor;
+    freezeModel(schema, instance);
+    return instance;
+  }
+
+  /**
+   * Check whether a model instance was frozen using {@link Model.freeze}.
+   *
+   * @param {Model} instance - A model instance.
+   * @returns {boolean} true if the instance is frozen, false if not.
+   */
+  static isFrozen(instance) {
+    return isFrozen(instance);
+  }
+
   /**
    * <p>Load a stored record that uses this model from the back end.</p>
    *
@@ -111,6 +181,9 @@ export class Model {
    *  <li>the stored record is not schema-conformant</li>
    * </ul>
    *
+   * <p>For models with a composite record name, the record name can
+   * also be passed as the data it is built from, e.g. <code>{ tenant, slug }</code>.</p>
+   *
    * @param {*} recordName
    * @returns {*} a stored model instance
    * @throws {*} one of several errors
@@ -119,6 +192,17 @@ export class Model {
     return Models.loadModel(this, recordName);
   }
 
+  /**
+   * <p>List the record names for all stored records that use this model,
+   * as they would be passed to {@link Model.load}.</p>
+   *
+   * @returns {string[]} a list of record names
+   * @throws {*} one of several errors
+   */
+  static async list() {
+    return Models.listRecords(this);
+  }
+
   /**
    * <p>Save this model instance to the backend. Note that this
    * requires the model class to specify a <code>__meta.recordName</code>
@@ -126,12 +210,18 @@ export class Model {
    * "primary key" equivalent, or be a function that, given a
    * model, yields a string to be used as record key.</p>
    *
+   * <p>This model is validated using {@link Model#validate} before saving.</p>
+   *
+   * <p>If this model's record name changed since it was loaded or last
+   * saved, the stored record is renamed, which throws if a record with
+   * the new record name already exists.</p>
+   *
    * @throws {*} one of several errors
    */
   async save() {
+    const { name, schema } = this.__proto__.constructor;
     let errors;
     if (this.__incomplete) {
-      const schema = this.__proto__.constructor.schema;
       const result = basicSchema.validate(schema, this);
       if (result.passed) {
         delete this.__incomplete;
@@ -139,12 +229,63 @@ export class Model {
         errors = result.errors;
       }
     }
-    if (!this.__incomplete) {
-      return Models.saveModel(this);
-    } else {
-      const { name } = this.__proto__.constructor;
+    if (this.__incomplete) {
       throw new IncompleteModelSave(name, errors);
     }
+    return Models.saveModel(this);
+  }
+
+  /**
+   * <p>Run all validation that cannot run during synchronous assignment:
+   * any <code>validateAsync</code> field validation, followed by any
+   * (async) model-level <code>__meta.validate</code> validation. All
+   * failures are collected into a single error.</p>
+   *
+   * @throws {ModelFailedValidation} if any validation failed.
+   */
+  async validate() {
+    const { name, schema } = this.__proto__.constructor;
+    const errors = [
+      ...(await getAsyncFieldErrors(schema, this)),
+      ...(await getModelValidationErrors(schema, this, true)),
+    ];
+    if (errors.length) {
+      throw new ModelFailedValidation(name, errors);
+    }
+  }
+
+  /**
+   * <p>Load the record that a reference field points to. This resolves
+   * to <code>undefined</code> if the reference field has no value, to
+   * a list of model instances for reference array fields, and to an
+   * object with the same keys for reference map fields.</p>
+   *
+   * @param {String} pathkey - The (path)key for a reference field.
+   * @returns {Model|Model[]|Object} the referenced model instance(s).
+   * @throws {*} one of several errors
+   */
+  async resolve(pathkey) {
+    const { name, schema } = this.__proto__.constructor;
+    const field = pathkey
+      .split(`.`)
+      .reduce((level, term) => (level?.shape ?? level)?.[term], schema);
+
+    if (!field?.__meta?.reference) {
+      throw new NotAReferenceField(pathkey, name);
+    }
+
+    const recordName = this.get(pathkey);
+    if (recordName === undefined || recordName === null) return recordName;
+    const load = (name) => Models.loadModel(field.model, name);
+    if (field.__meta.array) {
+      return Promise.all(recordName.map(load));
+    }
+    if (field.__meta.map) {
+      const entries = Object.entries(recordName.valueOf());
+      const instances = await Promise.all(entries.map(([_, n]) => load(n)));
+      return Object.fromEntries(entries.map(([key], i) => [key, instances[i]]));
+    }
+    return Models.loadModel(field.model, recordName);
   }
 
   /**
@@ -156,6 +297,93 @@ export class Model {
     return Models.deleteModel(this);
   }
 
+  /**
+   * <p>Lifecycle hook that runs when an instance is created, after its
+   * initial data and default values have been assigned, but before it
+   * gets validated. Override this in your own model to, for example,
+   * stamp values onto new instances.</p>
+   *
+   * <p>Return <code>false</code> to veto the creation, in which case
+   * {@link Model.create} throws an {@link Errors.OperationVetoed} error.
+   * If this hook is <code>async</code>, {@link Model.create} returns a
+   * <code>Promise</code> for the new instance.</p>
+   */
+  beforeCreate() {}
+
+  /**
+   * <p>Lifecycle hook that runs once an instance has been created and
+   * validated. If this hook is <code>async</code>, {@link Model.create}
+   * returns a <code>Promise</code> for the new instance.</p>
+   */
+  afterCreate() {}
+
+  /**
+   * <p>Lifecycle hook that runs before this instance gets saved, but only
+   * if there is something to save. Changes made in this hook are part of
+   * what gets validated and saved. Return <code>false</code> (or resolve to
+   * <code>false</code>) to veto the save, in which case {@link Model#save}
+   * throws an {@link Errors.OperationVetoed} error.</p>
+   */
+  beforeSave() {}
+
+  /**
+   * <p>Lifecycle hook that runs after this instance has been saved.</p>
+   */
+  afterSave() {}
+
+  /**
+   * <p>Lifecycle hook that runs after this instance has been loaded from
+   * the back end. Changes made in this hook do not mark the instance as
+   * dirty, so this is the place to, for example, decrypt stored values.</p>
+   */
+  afterLoad() {}
+
+  /**
+   * <p>Lifecycle hook that runs before this instance gets deleted from the
+   * back end. Return <code>false</code> (or resolve to <code>false</code>)
+   * to veto the delete, in which case {@link Model#delete} throws an
+   * {@link Errors.OperationVetoed} error.</p>
+   */
+  beforeDelete() {}
+
+  /**
+   * <p>Lifecycle hook that runs after this instance has been deleted
+   * from the back end.</p>
+   */
+  afterDelete() {}
+
+  /**
+   * <p>Register a handler that gets called when values in this model change.
+   * Use <code>"change"</code> to be notified of all changes, or
+   * <code>"change:keypath"</code> to only be notified of changes at, or
+   * below, that keypath (e.g. <code>"change:profile.preferences"</code>).</p>
+   *
+   * <p>Handlers are called with an array of changes, each of the form
+   * <code>{ keypath, oldValue, newValue }</code>. Individual assignments
+   * yield a single change, while bulk updates such as subtree assignment,
+   * <code>updateFromSubmission</code>, and <code>reset</code> yield all
+   * of their changes in a single call.</p>
+   *
+   * @param {String} event - "change", or "change:keypath".
+   * @param {function} handler - The function to call with the list of changes.
+   * @throws {UnknownModelEvent} if the event is not a change event.
+   */
+  on(event, handler) {
+    const { name } = this.__proto__.constructor;
+    addListener(this, event, handler, name);
+  }
+
+  /**
+   * Remove a handler that was registered using {@link Model#on}. If no
+   * handler is passed, all handlers for this event are removed.
+   *
+   * @param {String} event - "change", or "change:keypath".
+   * @param {function} [handler] - The handler to remove.
+   */
+  off(event, handler) {
+    removeListener(this, event, handler);
+  }
+
   /**
    * get a value by pathkey, rather than direct assignment
    *
@@ -203,18 +431,194 @@ export class Model {
    * }
    * </code></pre>
    *
+   * <p>Updates are atomic: if the submission fails any validation, including
+   * any synchronous model-level <code>__meta.validate</code> validation,
+   * this model is left untouched.</p>
+   *
    * @param {*} data
    * @throws {*} one of several errors
    */
   updateFromSubmission(data) {
     const Model = this.__proto__.constructor;
     const schema = Model.schema;
+    data = applyStrictPolicy(schema, data, Model.name);
     const strictValidation = false; // we want the data to be coerced during validation
     const result = basicSchema.validate(schema, data, strictValidation);
-    if (result.passed) return setDataFrom(data, this);
 
-    // If we get here, there were problems, so let's be super clear about that and throw.
-    throw new BadModelDataSubmission(Model.name, result.errors);
+    // If there were problems, let's be super clear about that and throw.
+    if (!result.passed) {
+      throw new BadModelDataSubmission(Model.name, result.errors);
+    }
+
+    this.__applyUpdate(data);
+  }
+
+  /**
+   * <p>Update this model with (partial) data. The data is validated as a
+   * whole before anything gets assigned, and the update is atomic: either
+   * all changes are applied, or, if any assignment or any synchronous
+   * model-level <code>__meta.validate</code> validation fails, none are.</p>
+   *
+   * @param {object} data - The (partial) data to update this model with.
+   * @throws {InvalidModelUpdate} if the data does not pass schema validation.
+   * @throws {ModelFailedValidation} if the result does not pass model validation.
+   */
+  update(data) {
+    const Model = this.__proto__.constructor;
+    data = applyStrictPolicy(Model.schema, data, Model.name);
+    const strictValidation = false; // match the coercion that assignment allows
+    const allowIncomplete = true; // partial updates are the whole point
+    const result = basicSchema.validate(
+      Model.schema,
+      data,
+      strictValidation,
+      allowIncomplete
+    );
+
+    if (!result.passed) {
+      throw new InvalidModelUpdate(Model.name, result.errors);
+    }
+
+    this.__applyUpdate(data);
+  }
+
+  /**
+   * Assign already-validated data, and roll back if the result fails
+   * (model-level) validation.
+   * @ignore
+   */
+  __applyUpdate(data) {
+    const { name, schema } = this.__proto__.constructor;
+    this.transaction(() => {
+      setDataFrom(data, this);
+      if (this.__incomplete) return;
+      const errors = getModelValidationErrors(schema, this);
+      if (errors.length) {
+        throw new ModelFailedValidation(name, errors);
+      }
+    });
+  }
+
+  /**
+   * <p>Check whether this model changed since it was created,
+   * loaded from the back end, or last saved.</p>
+   *
+   * @returns {boolean} true if this model's data changed, false if not.
+   */
+  isDirty() {
+    return this.toString() !== this.__snapshot.json;
+  }
+
+  /**
+   * <p>Get the list of changes made to this model since it was created,
+   * loaded from the back end, or last saved, as a list of operations
+   * generated by {@link diff.createDiff}. Note that changes are based
+   * on the same (sparse) JSON that {@link Model#toString} generates,
+   * so a value that gets reset to its default is a <code>remove</code>
+   * operation.</p>
+   *
+   * @returns {operations} the list of changes.
+   */
+  getChanges() {
+    const before = JSON.parse(this.__snapshot.json);
+    const after = JSON.parse(this.toString());
+    return createDiff(before, after);
+  }
+
+  /**
+   * <p>Undo all changes made to this model since it was created,
+   * loaded from the back end, or last saved.</p>
+   */
+  revert() {
+    batchChanges(() => restoreValues(this, this.__snapshot.values));
+  }
+
+  /**
+   * True if this model has history recorded, with at least one step to undo.
+   */
+  get canUndo() {
+    return history.canUndo(this);
+  }
+
+  /**
+   * True if this model has history recorded, with at least one undone step to redo.
+   */
+  get canRedo() {
+    return history.canRedo(this);
+  }
+
+  /**
+   * <p>Undo the most recent history step, for models that have their
+   * history recorded (see {@link Model.withHistory}).</p>
+   *
+   * @returns {boolean} true if a step was undone, false if there was nothing to undo.
+   */
+  undo() {
+    return history.undo(this, (data) => this.__restoreFrom(data));
+  }
+
+  /**
+   * <p>Redo the most recently undone history step, for models that have
+   * their history recorded (see {@link Model.withHistory}).</p>
+   *
+   * @returns {boolean} true if a step was redone, false if there was nothing to redo.
+   */
+  redo() {
+    return history.redo(this, (data) => this.__restoreFrom(data));
+  }
+
+  /**
+   * Bring this model to the state described by (sparse) model data.
+   * @ignore
+   */
+  __restoreFrom(data) {
+    const Model = this.__proto__.constructor;
+    const target = Models.create(Model, data, true, false);
+    batchChanges(() => restoreValues(this, target.valueOf()));
+  }
+
+  /**
+   * Record this model's current state as the state that isDirty(),
+   * getChanges() and revert() compare against, as well as the record
+   * name that this state is stored under, if it was loaded or saved.
+   * @ignore
+   */
+  __takeSnapshot(recordName) {
+    Object.defineProperty(this, `__snapshot`, {
+      enumerable: false,
+      configurable: true,
+      value: { values: this.valueOf(), json: this.toString(), recordName },
+    });
+  }
+
+  /**
+   * <p>Run a function that changes this model, restoring this model's
+   * previous state if the function throws. The error is rethrown after
+   * restoring. Change handlers are only notified once the function has
+   * finished, and only if it did not throw.</p>
+   *
+   * <p>Note that the function must be synchronous.</p>
+   *
+   * <pre><code>
+   *   user.transaction((user) => {
+   *     user.profile.name = `new name`;
+   *     user.profile.password = undefined; // throws, undoing the name change
+   *   });
+   * </code></pre>
+   *
+   * @param {function} fn - A function that gets called with this model.
+   * @returns {*} the function's return value.
+   */
+  transaction(fn) {
+    const before = this.valueOf();
+    return batchChanges(() => {
+      try {
+        return fn(this);
+      } catch (err) {
+        restoreValues(this, before);
+        throw err;
+      }
+    }, true);
   }
 
   /**
@@ -224,20 +628,49 @@ export class Model {
    * @param {*} postResetPayload the data with which to bootstrap this model after resetting.
    */
   reset(postResetPayload) {
+    batchChanges(() => this.__reset(postResetPayload));
+  }
+
+  /**
+   * The actual reset, so that reset() can report all changes as a single batch.
+   * @ignore
+   */
+  __reset(postResetPayload) {
     Object.entries(this).forEach(([key, value]) => {
       const schema = this.__proto__.constructor.schema;
+      const { readonly, writeOnce } = schema[key].__meta;
+      // Protected fields keep their value.
+      if (readonly || writeOnce) return;
+      // Default factories generate a new value on every reset.
+      const getDefault = () =>
+        typeof schema[key].default === `function`
+          ? schema[key].default()
+          : schema[key].default;
       if (value instanceof Model) {
         value.reset();
+      } else if (schema[key].__meta.array || schema[key].__meta.map) {
+        // Arrays and maps reset to their default content, or to empty
+        // content if they have no default and are not required.
+        if (schema[key].default !== undefined) {
+          this[key] = getDefault();
+        } else if (!schema[key].__meta.required) {
+          this[key] = schema[key].__meta.array ? [] : {};
+        }
       } else {
         // Always try default value first
-        if (schema[key].default) {
-          this[key] = schema[key].default;
+        if (schema[key].default !== undefined) {
+          this[key] = getDefault();
         }
         // If there's no default, and this field is not
         // required, we reset the field to its original
         // proxied getter/setter declaration.
         else if (!schema[key].__meta.required) {
-          setupReferenceHandler(this, key, schema);
+          if (schema[key].__meta.reference) {
+            setupRecordReferenceHandler(this, key, schema[key]);
+          } else {
+            setupReferenceHandler(this, key, schema[key]);
+          }
+          notifyChange(this, key, value, this[key]);
         }
         // If neither of those apply, then we can't
         // reset this value, and it stays what it is.
@@ -366,9 +799,23 @@ export class Model {
    */
   valueOf() {
     const process = (model, output) => {
-      const Model = model.__proto__.constructor;
-      Object.entries(Model.schema).forEach(([key, value]) => {
+      const { schema } = model.__proto__.constructor;
+      Object.entries(schema).forEach(([key, value]) => {
         if (key === `__meta`) return;
+        if (value.__meta.array || value.__meta.map) {
+          output[key] = model[key].valueOf();
+          return;
+        }
+        if (value.shapes) {
+          const { discriminator } = value.__meta;
+          const entry = model[key];
+          if (entry === undefined) return;
+          output[key] = {
+            [discriminator]: entry[discriminator],
+            ...(entry instanceof Model ? entry.valueOf() : entry),
+          };
+          return;
+        }
         if (value.shape) {
           output[key] = {};
           return process(model[key], output[key]);
@@ -391,6 +838,26 @@ export class Model {
   }
 }
 
+/**
+ * Restore a model to a state captured using valueOf(),
+ * reassigning only those values that actually changed.
+ * @ignore
+ */
+function restoreValues(model, before) {
+  const { schema } = model.__proto__.constructor;
+  function restore(schema, target, before = {}, after = {}) {
+    Object.entries(schema).forEach(([key, field]) => {
+      if (key === `__meta` || equals(after[key], before[key])) return;
+      if (field.shape && !field.__meta.array && !field.__meta.map) {
+        return restore(field.shape, target[key], before[key], after[key]);
+      }
+      target[key] = before[key];
+    });
+  }
+  // Restoring may need to "unassign" writeOnce fields.
+  withoutWriteProtection(() => restore(schema, model, before, model.valueOf()));
+}
+
 /**
  * @ignore
  */
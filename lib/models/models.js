@@ -2,15 +2,35 @@ import {
   NoStoreFound,
   StoreNotReady,
   AssignmentMustBeArray,
+  FieldFailedCustomValidation,
+  IncompleteRecordName,
   InvalidAssignment,
+  MissingImplementation,
+  MissingReferencedRecord,
+  ModelFailedValidation,
+  OperationVetoed,
+  PropertySchemaViolation,
+  ReadOnlyAssignment,
+  RecordAlreadyExists,
   RequiredFieldsMissing,
+  UnknownProperties,
 } from "../errors.js";
-import { copyFromSource, setDataFrom } from "./utils.js";
+import {
+  ASSIGN_WHOLE,
+  copyFromSource,
+  generateRecordId,
+  inflate,
+  setDataFrom,
+} from "./utils.js";
 import { registry } from "./model-registry.js";
 import { Model } from "./model.js";
 import * as basicSchema from "../schema/basic-js-schema.js";
+import { equals } from "../equals/equals.js";
 import { buildValidatingArray } from "./build-validating-array.js";
+import { buildValidatingMap, REPLACE } from "./build-validating-map.js";
+import { linkChild, notifyChange, unlinkChild } from "./change-events.js";
 import { FileSystemStore } from "./store/filesystem-store.js";
+import { createModelTemplate } from "./model-inheritance.js";
 import * as fields from "./fields.js";
 const { Fields } = fields;
 
@@ -98,12 +118,18 @@ export class Models {
   /**
    * <p>Create a model instance.</p>
    *
+   * <p>This runs the model's <code>beforeCreate</code> and <code>afterCreate</code>
+   * lifecycle hooks, and if either of those is async, this returns a promise
+   * for the model instance, rather than the instance itself.</p>
+   *
    * @param {class} Model - The model class to instantiate.
    * @param {object} data - the data with which to bootstrap the new model instantiation.
    * @param {boolean} [allowIncomplete] - True if missing required fields should be allowed, false if not.
-   * @returns {Model} an instance of the passed Model class.
+   * @param {boolean} [runHooks] - False if the model's lifecycle hooks should not run, e.g. because the instance is loaded, rather than created.
+   * @returns {Model|Promise} an instance of the passed Model class, or a promise for one.
+   * @throws {OperationVetoed} if the beforeCreate hook vetoes the creation.
    */
-  static create(Model, data, allowIncomplete = false) {
+  static create(Model, data, allowIncomplete = false, runHooks = true) {
     if (!this.store) this.register(Model);
 
     const { name, schema } = Model;
@@ -111,14 +137,37 @@ export class Models {
     // if we're using a data store, and don't know this model, this will throw.
     if (this.store) registry.getRegisteredSchema(name);
 
-    const instance = new Model(this, Date.now());
+    const instance = createModelTemplate(Model, this);
     fromSchemaToData(instance);
 
     // Assign this model's initial data. This will throw if any values do not
-    // conform to the model's schema.
-    if (data !== undefined) setDataFrom(data, instance);
+    // conform to the model's schema, or if the model's strict policy rejects it.
+    if (data !== undefined) {
+      setDataFrom(applyStrictPolicy(schema, data, name), instance);
+    }
+
+    // Any fields that have a default factory, but which were not assigned
+    // a value as part of the initial data, get a newly generated value.
+    applyDefaultFactories(schema, instance);
+
+    // Then, run the lifecycle hooks around validating the instance. If
+    // either of those hooks is async, so is the rest of the creation.
+    if (!runHooks)
+      return this.__completeCreate(Model, instance, allowIncomplete);
+    return andThen(runHook(instance, `beforeCreate`), () => {
+      this.__completeCreate(Model, instance, allowIncomplete);
+      return andThen(runHook(instance, `afterCreate`), () => instance);
+    });
+  }
 
-    // Then, post-validate the instance.
+  /**
+   * Validate a newly created model instance, and mark it as created.
+   * @ignore
+   */
+  static __completeCreate(Model, instance, allowIncomplete) {
+    const { name, schema } = Model;
+
+    // Post-validate the instance.
     const result = basicSchema.validate(
       schema,
       instance,
@@ -130,6 +179,13 @@ export class Models {
       throw new RequiredFieldsMissing(name, result.errors);
     }
 
+    // Then, run any model-level validation. Incomplete models can't be
+    // expected to pass this, and async validation has to wait until save().
+    if (!allowIncomplete) {
+      const errors = getModelValidationErrors(schema, instance);
+      if (errors.length) throw new ModelFailedValidation(name, errors);
+    }
+
     if (allowIncomplete === Model.ALLOW_INCOMPLETE) {
       Object.defineProperty(instance, `__incomplete`, {
         enumerable: false,
@@ -138,6 +194,12 @@ export class Models {
       });
     }
 
+    markCreated(schema, instance);
+    instance.__takeSnapshot();
+
+    const { history } = schema.__meta ?? {};
+    if (history) Model.withHistory(instance, history === true ? {} : history);
+
     return instance;
   }
 
@@ -156,12 +218,19 @@ export class Models {
     // Which can fail. In quite a few ways. All of them will throw =)
     let fileData = undefined;
 
+    // Record names may be given as the data they are built from,
+    // e.g. { tenant, slug } for a "{tenant}/{slug}" record name.
+    if (recordName !== null && typeof recordName === `object`) {
+      recordName = basicSchema.getRecordNameFor(schema, recordName);
+    }
+
     if (recordName) {
       fileData = await this.store.loadRecord(schema, recordName);
     }
 
+    let instance;
     try {
-      return this.create(Model, fileData);
+      instance = this.create(Model, fileData, false, false);
     } catch (e) {
       // And this is where things get interesting: schema mismatch, what do we do?
       console.error(
@@ -169,38 +238,592 @@ export class Models {
       );
       throw e;
     }
+
+    // Run the afterLoad hook before taking the snapshot, so that any
+    // changes it makes (e.g. decrypting values) don't count as changes.
+    if (recordName) {
+      await runHook(instance, `afterLoad`);
+      instance.__takeSnapshot(recordName);
+    }
+    return instance;
   }
 
   /**
    * Save a model to the back end, but skip any default values
    * because models are bootstrapped with the model's default
-   * values before data gets loaded in.
+   * values before data gets loaded in. Instances that were loaded
+   * from, or saved to, the back end are not written again unless
+   * they changed since. If an instance's record name changed since
+   * it was loaded or saved, its record gets renamed.
    * @param {Model} instance - A model instance.
    */
   static async saveModel(instance) {
     this.verifyStore();
+    const storedName = instance.__snapshot.recordName;
+    if (storedName !== undefined && !instance.isDirty()) return;
     const modelName = instance.__proto__.constructor.name;
     const schema = registry.getRegisteredSchema(modelName);
+    await runHook(instance, `beforeSave`);
+    stampTimestamps(schema, instance);
+    assignRecordId(schema, instance);
     const recordName = basicSchema.getRecordNameFor(schema, instance);
-    await this.store.saveRecord(schema, instance, recordName);
+    await instance.validate();
+    await this.verifyReferences(schema, instance);
+    if (storedName !== undefined && storedName !== recordName) {
+      await this.renameRecord(schema, instance, storedName, recordName);
+    } else {
+      await this.store.saveRecord(schema, instance, recordName);
+    }
+    instance.__takeSnapshot(recordName);
+    await runHook(instance, `afterSave`);
   }
 
   /**
-   * Delete a model from the back end.
+   * Save a model instance under a new record name, and remove the
+   * record stored under its old name. Stores that implement their
+   * own <code>renameRecord</code> get to do this however they can
+   * do it safely, otherwise we save the new record and then delete
+   * the old one.
+   * @param {schema} schema - The schema for this model instance.
+   * @param {Model} instance - A model instance.
+   * @param {string} oldName - The record name the instance was stored under.
+   * @param {string} newName - The record name the instance should be stored under.
+   * @throws {RecordAlreadyExists} if a record already exists for the new record name.
+   * @ignore
+   */
+  static async renameRecord(schema, instance, oldName, newName) {
+    const { store } = this;
+    if (typeof store.renameRecord === `function`) {
+      return store.renameRecord(schema, instance, oldName, newName);
+    }
+    const exists = await store.loadRecord(schema, newName).then(
+      (data) => data !== undefined,
+      () => false
+    );
+    if (exists) {
+      throw new RecordAlreadyExists(`${schema.__meta.name}/${newName}`);
+    }
+    await store.saveRecord(schema, instance, newName);
+    await store.deleteRecord(schema, oldName);
+  }
+
+  /**
+   * Verify that all records referenced by a model instance, including
+   * those referenced by its (non-array) submodels, exist in the store.
+   * @param {schema} schema - The schema for this model instance.
+   * @param {Model} instance - A model instance.
+   * @throws {MissingReferencedRecord} if a referenced record does not exist.
+   * @ignore
+   */
+  static async verifyReferences(schema, instance) {
+    for (const [key, field] of Object.entries(schema)) {
+      if (key === `__meta`) continue;
+      const value = instance[key];
+      if (value === undefined || value === null) continue;
+
+      if (field.__meta.reference) {
+        const Model = field.model;
+        const referenced = await registry.recordModelClassAsync(Model);
+        const { array, map } = field.__meta;
+        const recordNames = array
+          ? [...value]
+          : map
+          ? Object.values(value.valueOf())
+          : [value];
+        for (const recordName of recordNames) {
+          try {
+            await this.store.loadRecord(referenced, recordName);
+          } catch (err) {
+            throw new MissingReferencedRecord(key, Model.name, recordName);
+          }
+        }
+      } else if (field.shape && !field.__meta.array && !field.__meta.map) {
+        await this.verifyReferences(field.shape, value);
+      }
+    }
+  }
+
+  /**
+   * Delete a model from the back end. Instances that were loaded
+   * from, or saved to, the back end delete the record they are
+   * stored as, even if their record name changed since.
    * @param {Model} instance - A model instance.
    */
   static async deleteModel(instance) {
     this.verifyStore();
     const modelName = instance.__proto__.constructor.name;
     const schema = registry.getRegisteredSchema(modelName);
-    const recordName = basicSchema.getRecordNameFor(schema, instance);
+    const recordName =
+      instance.__snapshot.recordName ??
+      basicSchema.getRecordNameFor(schema, instance);
+    await runHook(instance, `beforeDelete`);
     await this.store.deleteRecord(schema, recordName);
+    instance.__takeSnapshot();
+    await runHook(instance, `afterDelete`);
+  }
+
+  /**
+   * List the record names for all stored records of a model.
+   * @param {Model} Model - A model class.
+   * @returns {string[]} A list of record names.
+   */
+  static async listRecords(Model) {
+    this.verifyStore();
+    if (typeof this.store.listRecords !== `function`) {
+      throw new MissingImplementation(
+        `${this.store.constructor.name}.listRecords(schema)`
+      );
+    }
+    const schema = await registry.recordModelClassAsync(Model);
+    return this.store.listRecords(schema);
   }
 
   // And some convenience "static exports"
   static fields = Fields;
 }
 
+/**
+ * Run a model instance's lifecycle hook. Hooks may be async, in which
+ * case this returns a promise. The <code>before*</code> hooks veto their
+ * operation by returning, or resolving to, <code>false</code>.
+ * @param {Model} instance - A model instance.
+ * @param {String} hook - The name of the hook to run.
+ * @returns {undefined|Promise} undefined, or a promise if the hook is async.
+ * @throws {OperationVetoed} if a before* hook vetoes its operation.
+ * @ignore
+ */
+function runHook(instance, hook) {
+  const { name } = instance.__proto__.constructor;
+  const check = (result) => {
+    if (result === false && hook.startsWith(`before`)) {
+      throw new OperationVetoed(name, hook);
+    }
+  };
+  const result = instance[hook]();
+  if (result instanceof Promise) return result.then(check);
+  check(result);
+}
+
+/**
+ * Call a function once a result is available, which means waiting
+ * for that result if it is a promise, and calling it immediately if not.
+ * @ignore
+ */
+function andThen(result, next) {
+  return result instanceof Promise ? result.then(next) : next();
+}
+
+/**
+ * Run a model's <code>__meta.validate(instance)</code> function, as
+ * well as those of its (non-array) submodels. Validation functions
+ * fail by returning false, by returning an array of error strings,
+ * or by throwing. If any of the validation functions are async, this
+ * returns a promise for the list of errors, rather than the list itself.
+ *
+ * Note that when called synchronously, async validation functions are
+ * not called at all, and only the errors from synchronous validation are
+ * returned. Functions that are not marked async, but which return a
+ * promise anyway, can only be found out by calling them, and so their
+ * results get ignored instead.
+ *
+ * @param {schema} schema - The schema for this model instance.
+ * @param {Model} instance - A model instance.
+ * @param {boolean} async - Whether to wait for async validation.
+ * @returns {String[]|Promise} the list of errors, or a promise for that list.
+ * @ignore
+ */
+export function getModelValidationErrors(schema, instance, async = false) {
+  const results = [];
+
+  const run = (validate, value) => {
+    if (!async && validate.constructor.name === `AsyncFunction`) return;
+    const { name } = value.__proto__.constructor;
+    const toErrors = (result) => {
+      if (result === false) return [`${name}: model validation failed.`];
+      if (result instanceof Array) return result;
+      return [];
+    };
+    try {
+      const result = validate(value);
+      if (result instanceof Promise) {
+        if (async) results.push(result.then(toErrors, (err) => [err.message]));
+        else result.catch(() => {}); // save() will report this.
+      } else results.push(toErrors(result));
+    } catch (err) {
+      results.push([err.message]);
+    }
+  };
+
+  (function collect(schema, instance) {
+    const validate = schema.__meta?.validate;
+    if (validate) run(validate, instance);
+
+    Object.entries(schema).forEach(([key, field]) => {
+      if (key === `__meta` || !field.shape) return;
+      if (field.__meta.array || field.__meta.map) return;
+      const value = instance[key];
+      if (value === undefined) return;
+      // The submodel's __meta lives on its field definition.
+      if (field.__meta.validate) run(field.__meta.validate, value);
+      collect(field.shape, value);
+    });
+  })(schema, instance);
+
+  if (!async) return results.flat();
+  return Promise.all(results).then((r) => r.flat());
+}
+
+/**
+ * Run all <code>validateAsync</code> field validation functions for a
+ * model instance, including those for submodels, and for the elements
+ * of array and map fields. Like <code>validate</code> functions, these
+ * fail by returning (a promise for) false, or by throwing.
+ *
+ * @param {schema} schema - The schema for this model instance.
+ * @param {Model} instance - A model instance.
+ * @returns {Promise} a promise for the list of errors found.
+ * @ignore
+ */
+export async function getAsyncFieldErrors(schema, instance) {
+  const checks = [];
+
+  const run = async (validateAsync, keypath, value) => {
+    try {
+      if ((await validateAsync(value)) === false) {
+        throw new FieldFailedCustomValidation(keypath);
+      }
+      return [];
+    } catch (err) {
+      return [err.message];
+    }
+  };
+
+  (function collect(schema, instance, prefix) {
+    Object.entries(schema).forEach(([key, field]) => {
+      if (key === `__meta`) return;
+      const value = instance[key];
+      if (value === undefined) return;
+
+      const keypath = `${prefix}${key}`;
+      const { array, map, validateAsync, discriminator } = field.__meta;
+      const entries =
+        array || map
+          ? Object.entries(value).map(([k, v]) => [`${keypath}.${k}`, v])
+          : [[keypath, value]];
+
+      entries.forEach(([keypath, value]) => {
+        if (validateAsync) checks.push(run(validateAsync, keypath, value));
+        const shape = field.shapes?.[value[discriminator]] ?? field.shape;
+        if (shape) collect(shape, value, `${keypath}.`);
+      });
+    });
+  })(schema, instance, ``);
+
+  return (await Promise.all(checks)).flat();
+}
+
+/**
+ * Give a model instance a generated record name, if its model uses
+ * generated record names and it doesn't have one yet (i.e. it's being
+ * saved for the first time).
+ * @ignore
+ */
+function assignRecordId(schema, instance) {
+  const { recordName } = schema.__meta;
+  if (!fields.GENERATED_RECORD_NAMES.includes(recordName)) return;
+  if (instance[fields.RECORD_ID_FIELD] !== undefined) return;
+  // The record id field is read-only, except for this one assignment.
+  withoutWriteProtection(() => {
+    instance[fields.RECORD_ID_FIELD] = generateRecordId(recordName);
+  });
+}
+
+/**
+ * Set a model instance's updatedAt timestamp, as well as its createdAt
+ * timestamp if it doesn't have one yet (i.e. it's being saved for the
+ * first time), if its model uses <code>__meta.timestamps</code>.
+ * @ignore
+ */
+function stampTimestamps(schema, instance) {
+  if (!schema.__meta.timestamps) return;
+  const now = new Date();
+  // The timestamp fields are read-only, except for when we save.
+  withoutWriteProtection(() => {
+    instance.createdAt ??= now;
+    instance.updatedAt = now;
+  });
+}
+
+/**
+ * Assign generated values to all fields that have a default factory, but
+ * which have not been assigned a value yet, including those in (non-array)
+ * submodels.
+ * @ignore
+ */
+export function applyDefaultFactories(schema, instance) {
+  Object.entries(schema).forEach(([key, field]) => {
+    if (key === `__meta`) return;
+    if (field.shape && !field.__meta.array && !field.__meta.map) {
+      return applyDefaultFactories(field.shape, instance[key]);
+    }
+    if (!fields.hasDefaultFactory(field)) return;
+    if (Object.getOwnPropertyDescriptor(instance, key).enumerable) return;
+    instance[key] = field.default();
+  });
+}
+
+/**
+ * <p>Apply a model's <code>__meta.strict</code> policy to data that is
+ * about to be assigned, returning the data that should be assigned
+ * instead. Submodels use their own policy, if they have one, and
+ * their parent's policy if they don't. Policies are:</p>
+ *
+ * <ul>
+ *   <li>"reject": throw if there are any properties that are not in the schema</li>
+ *   <li>"strip": quietly drop any properties that are not in the schema</li>
+ *   <li>"warn": drop any properties that are not in the schema, with a console warning</li>
+ * </ul>
+ *
+ * <p>Without a policy, unknown properties are assigned as-is.</p>
+ *
+ * @throws {UnknownProperties} if the "reject" policy applies to any unknown properties.
+ * @ignore
+ */
+export function applyStrictPolicy(schema, data, modelName, policy, prefix) {
+  if (!isDataObject(data)) return data;
+  const unknown = [];
+  const filtered = filterUnknown(
+    schema,
+    inflate({ ...data }),
+    policy,
+    prefix,
+    unknown
+  );
+  if (!unknown.length) return data;
+
+  const rejected = unknown.filter((u) => u.policy === `reject`);
+  if (rejected.length) {
+    throw new UnknownProperties(
+      modelName,
+      rejected.map((u) => u.keypath)
+    );
+  }
+
+  const warned = unknown.filter((u) => u.policy === `warn`);
+  if (warned.length) {
+    console.warn(
+      `Ignoring ${modelName} data properties that are not in its schema: [${warned
+        .map((u) => u.keypath)
+        .join(`, `)}].`
+    );
+  }
+
+  return filtered;
+}
+
+/**
+ * @ignore
+ */
+function isDataObject(value) {
+  return (
+    value !== null &&
+    typeof value === `object` &&
+    !(value instanceof Array) &&
+    !(value instanceof Date)
+  );
+}
+
+/**
+ * Build a copy of some data without the properties that a strict
+ * policy says should be dropped, recording every unknown property
+ * (and the policy that applies to it) along the way.
+ * @ignore
+ */
+function filterUnknown(schema, data, policy, prefix, unknown) {
+  policy = schema.__meta?.strict ?? policy;
+  const result = {};
+  Object.entries(data).forEach(([key, value]) => {
+    const keypath = prefix ? `${prefix}.${key}` : key;
+    const field = key === `__meta` ? undefined : schema[key];
+    if (!field) {
+      if (policy) return unknown.push({ keypath, policy });
+      result[key] = value;
+    } else {
+      result[key] = filterField(field, value, policy, keypath, unknown);
+    }
+  });
+  return result;
+}
+
+/**
+ * Filter a field's value, if that field is a submodel, a union, or an
+ * array or map of submodels. Anything else is left as-is.
+ * @ignore
+ */
+function filterField(field, value, policy, keypath, unknown) {
+  policy = field.__meta.strict ?? policy;
+
+  if (field.shapes) {
+    if (!isDataObject(value)) return value;
+    const { discriminator } = field.__meta;
+    const shape = field.shapes[value[discriminator]];
+    if (!shape) return value;
+    const branch = { ...shape, [discriminator]: { __meta: {} } };
+    return filterUnknown(branch, value, policy, keypath, unknown);
+  }
+
+  const { shape } = field;
+  if (!shape) return value;
+  const filter = (v, path) =>
+    isDataObject(v) ? filterUnknown(shape, v, policy, path, unknown) : v;
+
+  if (field.__meta.array) {
+    if (value instanceof Array) {
+      return value.map((v, i) => filter(v, `${keypath}.${i}`));
+    }
+    if (!isDataObject(value)) return value;
+    return Object.fromEntries(
+      Object.entries(value).map(([i, v]) => [i, filter(v, `${keypath}.${i}`)])
+    );
+  }
+
+  if (field.__meta.map) {
+    if (!isDataObject(value)) return value;
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => {
+        // Form submissions encode map entries as {key, value} pairs.
+        if (
+          isDataObject(v) &&
+          Object.keys(v).every((n) => n === `key` || n === `value`)
+        ) {
+          return [k, { ...v, value: filter(v.value, `${keypath}.${k}.value`) }];
+        }
+        return [k, filter(v, `${keypath}.${k}`)];
+      })
+    );
+  }
+
+  return filter(value, keypath);
+}
+
+/**
+ * Models (and their submodels) that have finished being created, so that
+ * readonly fields can no longer be assigned, submodels that belong to a
+ * readonly field, so that none of their fields can be assigned, and
+ * models that were frozen.
+ * @ignore
+ */
+const CREATED = new WeakSet();
+const READONLY = new WeakSet();
+const FROZEN = new WeakSet();
+let writeProtection = true;
+
+/**
+ * Run a function with readonly and writeOnce protection switched off,
+ * for restoring a model to a previous state (e.g. a transaction rollback).
+ * Frozen models stay frozen.
+ * @ignore
+ */
+export function withoutWriteProtection(fn) {
+  const previous = writeProtection;
+  writeProtection = false;
+  try {
+    return fn();
+  } finally {
+    writeProtection = previous;
+  }
+}
+
+/**
+ * Mark a model instance, and its (non-array) submodels, as created. Any
+ * submodels that belong to readonly fields are marked as readonly, too.
+ * @ignore
+ */
+export function markCreated(schema, instance) {
+  CREATED.add(instance);
+  Object.entries(schema).forEach(([key, field]) => {
+    if (key === `__meta`) return;
+    if (field.__meta.readonly) {
+      forEachSubmodel(field, instance[key], markReadOnly);
+    }
+    if (!field.shape || field.__meta.array || field.__meta.map) return;
+    markCreated(field.shape, instance[key]);
+  });
+}
+
+/**
+ * Mark a submodel, and all its own submodels, as readonly.
+ * @ignore
+ */
+function markReadOnly(schema, instance) {
+  READONLY.add(instance);
+  Object.entries(schema).forEach(([key, field]) => {
+    if (key === `__meta`) return;
+    forEachSubmodel(field, instance[key], markReadOnly);
+  });
+}
+
+/**
+ * Freeze a model instance, and all its submodels, including those
+ * in arrays, maps, and unions.
+ * @ignore
+ */
+export function freezeModel(schema, instance) {
+  FROZEN.add(instance);
+  Object.preventExtensions(instance);
+  Object.entries(schema).forEach(([key, field]) => {
+    if (key === `__meta`) return;
+    forEachSubmodel(field, instance[key], freezeModel);
+  });
+}
+
+/**
+ * Call a function with the schema and instance for every submodel that
+ * a field's value consists of, including those in arrays, maps, and unions.
+ * @ignore
+ */
+function forEachSubmodel(field, value, fn) {
+  if (value === undefined || value === null) return;
+  const { array, map, discriminator } = field.__meta;
+  const entries = array || map ? Object.values(value) : [value];
+  entries.forEach((entry) => {
+    const shape = field.shapes?.[entry[discriminator]] ?? field.shape;
+    if (shape) fn(shape, entry);
+  });
+}
+
+/**
+ * Check whether a model instance was frozen.
+ * @ignore
+ */
+export function isFrozen(instance) {
+  return FROZEN.has(instance);
+}
+
+/**
+ * @ignore
+ */
+function assertNotFrozen(model, key) {
+  if (FROZEN.has(model)) {
+    throw new ReadOnlyAssignment(key, `belongs to a frozen model`);
+  }
+}
+
+/**
+ * Check whether a (changed) value may be assigned to a readonly or writeOnce field.
+ * @ignore
+ */
+function assertWritable(model, key, definition, current, defaultValue) {
+  if (!writeProtection) return;
+  const { readonly, writeOnce } = definition.__meta;
+  if ((readonly || READONLY.has(model)) && CREATED.has(model)) {
+    throw new ReadOnlyAssignment(key, `is read-only`);
+  }
+  if (writeOnce && !equals(current, defaultValue)) {
+    throw new ReadOnlyAssignment(key, `can only be assigned once`);
+  }
+}
+
 /**
  * Rewrite a model from its initial "schema" layout
  * to the actually usable "controlled data" layout.
@@ -208,10 +831,15 @@ export class Models {
  */
 export function fromSchemaToData(model) {
   if (model.__converted) return model;
+  fields.addRecordIdField(model);
+  fields.addTimestampFields(model);
 
   const props = Object.entries(model);
   props.forEach(([key, definition]) => {
+    const field = definition;
     const array = key !== `__meta` && definition.__meta.array;
+    const map = key !== `__meta` && definition.__meta.map;
+    const union = key !== `__meta` && !!definition.shapes;
     const { shape } = definition;
     if (shape) {
       definition = shape;
@@ -226,6 +854,7 @@ export function fromSchemaToData(model) {
     // non-model subtrees
     else if (!!shape || definition.__meta?.name) {
       let schema;
+      let defaultValue;
 
       // If this is a proper model, we should already have its associated
       // schema stored both in the registry and on the model class (set
@@ -241,27 +870,23 @@ export function fromSchemaToData(model) {
 
       // If this is an array-of-[...], we need a special array that
       // can perform seemless data assignment/extraction.
-      if (array) {
-        const proxy = buildValidatingArray(schema, definition);
-        Object.defineProperty(model, key, {
-          configurable: false,
-          get: () => proxy,
-          set: (data) => {
-            if (!(data instanceof Array)) {
-              throw new AssignmentMustBeArray(key);
-            }
-            while (proxy.length > 0) proxy.pop();
-            proxy.push(...data);
-          },
-        });
-      }
-
+      if (array) setupArrayHandler(model, key, field);
+      // Similarly, maps-of-[...] need a special map.
+      else if (map) setupMapHandler(model, key, field);
       // Otherwise, we can set up "simple" get/set logic.
       else {
         Object.defineProperty(model, key, {
           configurable: false,
           get: () => definition,
           set: (data) => {
+            assertNotFrozen(model, key);
+            const current = definition.valueOf();
+            if (!equals(data?.valueOf(), current)) {
+              assertWritable(model, key, field, current, defaultValue);
+            }
+            const { name, schema: parentSchema } = model.__proto__.constructor;
+            const policy = field.__meta.strict ?? parentSchema?.__meta?.strict;
+            data = applyStrictPolicy(schema, data, name, policy, key);
             const result = basicSchema.validate(schema, data);
             if (result.passed) setDataFrom(data, definition);
             else {
@@ -269,12 +894,27 @@ export function fromSchemaToData(model) {
             }
           },
         });
+        // Changes to the subtree are changes to this model, too.
+        linkChild(model, key, definition);
       }
 
       // And then we recurse.
       fromSchemaToData(definition);
+      // Submodels start out with their default content, which
+      // writeOnce submodels may only be assigned to once.
+      if (!array && !map) defaultValue = definition.valueOf();
     }
 
+    // unions pick the correct model for the data they're assigned.
+    else if (union) setupUnionHandler(model, key, definition);
+    // arrays and maps of primitive values (including references)
+    // need those same special collections.
+    else if (array) setupArrayHandler(model, key, definition);
+    else if (map) setupMapHandler(model, key, definition);
+    // references also accept instances of the model they reference.
+    else if (definition.__meta.reference) {
+      setupRecordReferenceHandler(model, key, definition);
+    }
     // everything else is a simple (validation-controlled) property
     else setupReferenceHandler(model, key, definition);
   });
@@ -298,7 +938,7 @@ export function fromSchemaToData(model) {
  * @ignore
  */
 export function setupReferenceHandler(model, key, definition) {
-  const defaultValue = definition.default;
+  const defaultValue = fields.getDefaultValue(definition);
   let __proxy = defaultValue;
 
   Object.defineProperty(model, key, {
@@ -306,17 +946,297 @@ export function setupReferenceHandler(model, key, definition) {
     enumerable: false, // hide this key for object iteration purposes by default
     get: () => __proxy,
     set: (value) => {
+      assertNotFrozen(model, key);
       const result = fields.validate(key, value, definition);
       if (result.passed) {
-        __proxy = value;
+        const oldValue = __proxy;
+        if (!equals(oldValue, result.value)) {
+          assertWritable(model, key, definition, oldValue, defaultValue);
+        }
+        // Note that we store the validated value, which may have been coerced.
+        __proxy = result.value;
         // For non default values, include this key when iterating over the object,
         // but default values exclude this key for iteration purposes.
         Object.defineProperty(model, key, {
-          enumerable: value !== defaultValue,
+          enumerable: !equals(__proxy, defaultValue),
         });
+        if (!equals(oldValue, __proxy)) {
+          notifyChange(model, key, oldValue, __proxy);
+        }
       } else {
         throw new InvalidAssignment(key, value, result.errors);
       }
     },
   });
 }
+
+/**
+ * Get the record name that a reference to a model instance should store.
+ * Instances with a generated record name don't have a record name until
+ * they are first saved, so those can't be referenced before then.
+ *
+ * @throws {IncompleteRecordName} if the instance has no record name yet.
+ * @ignore
+ */
+export function getReferencedRecordName(instance) {
+  const { schema } = instance.__proto__.constructor;
+  const recordName = basicSchema.getRecordNameFor(schema, instance);
+  if (recordName === undefined) {
+    throw new IncompleteRecordName(schema.__meta.name, fields.RECORD_ID_FIELD);
+  }
+  return recordName;
+}
+
+/**
+ * Set up a record reference property. This is a simple property that
+ * holds a record name, but which can also be assigned a model instance,
+ * in which case that instance's record name gets stored instead.
+ *
+ * @ignore
+ */
+export function setupRecordReferenceHandler(model, key, definition) {
+  setupReferenceHandler(model, key, definition);
+  const { get, set } = Object.getOwnPropertyDescriptor(model, key);
+  const setReference = (value) => {
+    if (value instanceof Model) value = getReferencedRecordName(value);
+    set(value);
+  };
+  // Model instances should be assigned as-is, not merged into this property.
+  setReference[ASSIGN_WHOLE] = true;
+  Object.defineProperty(model, key, { get, set: setReference });
+}
+
+/**
+ * Set up an array property, backed by a validating array. Much like
+ * simple properties, the array property is only enumerable when its
+ * content differs from its default content.
+ *
+ * @ignore
+ */
+export function setupArrayHandler(model, key, definition) {
+  const defaultValue = fields.getDefaultValue(definition) ?? [];
+  const track = trackCollection(model, key, []);
+  const proxy = buildValidatingArray(
+    key,
+    definition,
+    (list) => {
+      Object.defineProperty(model, key, {
+        enumerable: !equals(list, defaultValue),
+      });
+      track(list);
+    },
+    () => {
+      assertNotFrozen(model, key);
+      assertWritable(model, key, definition, proxy.valueOf(), defaultValue);
+    }
+  );
+
+  Object.defineProperty(model, key, {
+    configurable: true, // needs to be true, so that we can toggle enumerability
+    enumerable: false,
+    get: () => proxy,
+    set: (data) => {
+      if (!(data instanceof Array)) {
+        if (definition.shape) throw new AssignmentMustBeArray(key);
+        const result = basicSchema.validate(
+          { [key]: definition },
+          { [key]: data }
+        );
+        throw new InvalidAssignment(key, data, result.errors);
+      }
+      // Reassigning the content that the array already has is not a change.
+      if (equals(proxy.valueOf(), data)) return;
+      try {
+        proxy.splice(0, proxy.length, ...data);
+      } catch (err) {
+        if (!(err instanceof PropertySchemaViolation)) throw err;
+        throw new InvalidAssignment(key, data, err.errors);
+      }
+    },
+  });
+
+  if (defaultValue.length) {
+    withoutWriteProtection(() => proxy.push(...defaultValue));
+  }
+}
+
+/**
+ * Build a change tracker for array and map properties, which reports
+ * the collection's old and new content (as plain data), and links any
+ * model elements to the collection's keypath so that their changes
+ * are reported, too.
+ *
+ * @ignore
+ */
+function trackCollection(model, key, initial) {
+  let previous = initial;
+  let linked = [];
+  const plain = (collection) => {
+    const entries = Object.entries(collection).map(([k, v]) => [
+      k,
+      v instanceof Model ? v.valueOf() : v,
+    ]);
+    if (collection instanceof Array) return entries.map(([_, v]) => v);
+    return Object.fromEntries(entries);
+  };
+  return (collection) => {
+    linked.forEach((element) => unlinkChild(model, element));
+    linked = Object.entries(collection).filter(([_, v]) => v instanceof Model);
+    linked.forEach(([k, v]) => linkChild(model, `${key}.${k}`, v));
+    linked = linked.map(([_, v]) => v);
+    const current = plain(collection);
+    if (!equals(previous, current)) {
+      notifyChange(model, key, previous, current);
+    }
+    previous = current;
+  };
+}
+
+/**
+ * Set up a map property, backed by a validating map. Much like
+ * array properties, the map property is only enumerable when its
+ * content differs from its default content.
+ *
+ * @ignore
+ */
+export function setupMapHandler(model, key, definition) {
+  const defaultValue = fields.getDefaultValue(definition) ?? {};
+  const track = trackCollection(model, key, {});
+  const proxy = buildValidatingMap(
+    key,
+    definition,
+    (map) => {
+      Object.defineProperty(model, key, {
+        enumerable: !equals(map, defaultValue),
+      });
+      track(map);
+    },
+    () => {
+      assertNotFrozen(model, key);
+      assertWritable(model, key, definition, proxy.valueOf(), defaultValue);
+    }
+  );
+
+  Object.defineProperty(model, key, {
+    configurable: true, // needs to be true, so that we can toggle enumerability
+    enumerable: false,
+    get: () => proxy,
+    set: (data) => {
+      try {
+        if (!data || typeof data !== `object` || data instanceof Array) {
+          throw new PropertySchemaViolation([
+            `${key}: must be a map of keys to values.`,
+          ]);
+        }
+        // Reassigning the content that the map already has is not a change.
+        if (equals(proxy.valueOf(), data)) return;
+        proxy[REPLACE](data);
+      } catch (err) {
+        if (!(err instanceof PropertySchemaViolation)) throw err;
+        throw new InvalidAssignment(key, data, err.errors);
+      }
+    },
+  });
+
+  if (Object.keys(defaultValue).length) {
+    withoutWriteProtection(() => proxy[REPLACE](defaultValue));
+  }
+}
+
+/**
+ * Set up a union property, which holds an instance of whichever of the
+ * union's models the assigned data's discriminator value points to. The
+ * discriminator is added to the instance as a read-only property, so that
+ * it gets included when the instance is turned into JSON.
+ *
+ * @ignore
+ */
+export function setupUnionHandler(model, key, definition) {
+  const { discriminator } = definition.__meta;
+  let __value = undefined;
+
+  const set = (data) => {
+    assertNotFrozen(model, key);
+    const fail = (errors) => {
+      throw new InvalidAssignment(key, data, errors);
+    };
+
+    if (data === undefined) {
+      if (definition.__meta.required) fail([`${key}: required field missing.`]);
+      return update(undefined);
+    }
+
+    if (data === null || typeof data !== `object`) {
+      fail([`${key}: must be an object.`]);
+    }
+
+    // Model instances know which model they are, plain data has to tell us.
+    const entries = Object.entries(definition.shapes);
+    const match = entries.find(
+      ([_, s]) => s instanceof Model && data instanceof s.__proto__.constructor
+    );
+    const kind = match ? match[0] : data[discriminator];
+    const shape = definition.shapes[kind];
+    if (!shape) {
+      const kinds = Object.keys(definition.shapes).join(`,`);
+      fail([`${key}: ${discriminator} [${kind}] is not one of [${kinds}].`]);
+    }
+
+    let value;
+    if (shape instanceof Model) {
+      const BranchModel = shape.__proto__.constructor;
+      if (data instanceof BranchModel) value = data;
+      else {
+        const copy = { ...data };
+        delete copy[discriminator];
+        try {
+          // Submodels don't run their own lifecycle hooks.
+          value = Models.create(BranchModel, copy, false, false);
+        } catch (err) {
+          fail(err.errors ?? [err.message]);
+        }
+      }
+    } else {
+      const result = basicSchema.validate(
+        { [key]: definition },
+        { [key]: data }
+      );
+      if (!result.passed) fail(result.errors);
+      value = { ...data };
+    }
+
+    if (!Object.getOwnPropertyDescriptor(value, discriminator)) {
+      Object.defineProperty(value, discriminator, {
+        enumerable: true,
+        value: kind,
+      });
+    }
+
+    update(value);
+  };
+
+  const update = (value) => {
+    const oldValue = __value;
+    // Replacing the value with an equivalent one is not a change.
+    const same =
+      value?.[discriminator] === oldValue?.[discriminator] &&
+      equals(value?.valueOf(), oldValue?.valueOf());
+    if (same) return;
+    assertWritable(model, key, definition, oldValue, undefined);
+    unlinkChild(model, oldValue);
+    __value = value;
+    linkChild(model, key, value);
+    Object.defineProperty(model, key, { enumerable: value !== undefined });
+    if (oldValue !== value) notifyChange(model, key, oldValue, value);
+  };
+
+  // We need the full data to pick a model, rather than data being merged in.
+  set[ASSIGN_WHOLE] = true;
+
+  Object.defineProperty(model, key, {
+    configurable: true, // needs to be true, so that we can toggle enumerability
+    enumerable: false,
+    get: () => __value,
+    set,
+  });
+}
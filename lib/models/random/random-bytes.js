@@ -0,0 +1,11 @@
+import { randomFillSync } from "crypto";
+
+/**
+ * Get n cryptographically secure random bytes, using Node's crypto
+ * module, which (unlike the web crypto API) exists in every Node
+ * version. Browser bundles use web-random-bytes.js instead.
+ * @ignore
+ */
+export function randomBytes(n) {
+  return randomFillSync(new Uint8Array(n));
+}
@@ -0,0 +1,11 @@
+/**
+ * This is the replacement for random-bytes.js in browser context, for
+ * all bundlers that respect the package.json "browsers" property when
+ * set to a mapping object rather than a single entry point string.
+ *
+ * See https://docs.npmjs.com/cli/v7/configuring-npm/package-json#browser
+ * @ignore
+ */
+export function randomBytes(n) {
+  return globalThis.crypto.getRandomValues(new Uint8Array(n));
+}
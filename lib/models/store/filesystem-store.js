@@ -2,11 +2,17 @@ import {
   RecordAccessError,
   RecordParseError,
   RecordDoesNotExist,
+  RecordAlreadyExists,
 } from "../../errors.js";
 import { ModelStore } from "./model-store.js";
 import { equals } from "../../equals/equals.js";
 import * as basicSchema from "../../schema/basic-js-schema.js";
 import * as migrations from "../../migration/make-migration.js";
+import {
+  encodeRecordName,
+  decodeRecordName,
+  isEncodedRecordName,
+} from "./record-names.js";
 
 let fs, path;
 /**
@@ -39,6 +45,36 @@ export class FileSystemStore extends ModelStore {
     return !!this.storePath;
   }
 
+  /**
+   * Get the file path for a record. Record names are encoded, so that
+   * every record is a single file in the model schema's data directory,
+   * no matter which characters its record name contains.
+   * @ignore
+   */
+  getRecordPath(schema, recordName) {
+    return `${this.getRecordDir(schema)}/${encodeRecordName(recordName)}.json`;
+  }
+
+  /**
+   * @ignore
+   */
+  getRecordDir(schema) {
+    return `${this.storePath}/${schema.__meta.name}`;
+  }
+
+  /**
+   * Get the (encoded) file names for all records in a model schema's data directory.
+   * @ignore
+   */
+  getRecordFiles(schema) {
+    const dir = this.getRecordDir(schema);
+    if (!fs.existsSync(dir)) return [];
+    return fs
+      .readdirSync(dir, { withFileTypes: true })
+      .filter((entry) => entry.isFile() && entry.name.endsWith(`.json`))
+      .map((entry) => entry.name.slice(0, -`.json`.length));
+  }
+
   /**
    * Load a model record's data from the model schema's data directory
    * @param {*} schema
@@ -47,7 +83,7 @@ export class FileSystemStore extends ModelStore {
    */
   async loadRecord(schema, recordName) {
     let fileData = undefined;
-    const filepath = `${this.storePath}/${schema.__meta.name}/${recordName}.json`;
+    const filepath = this.getRecordPath(schema, recordName);
 
     // Can we read this file?
     try {
@@ -73,17 +109,44 @@ export class FileSystemStore extends ModelStore {
    * @param {*} recordName
    */
   async saveRecord(schema, instance, recordName) {
-    const filepath = `${this.storePath}/${schema.__meta.name}/${recordName}.json`;
+    const filepath = this.getRecordPath(schema, recordName);
     await fs.promises.writeFile(filepath, instance.toString());
   }
 
+  /**
+   * Save a model instance under a new record name, removing the file for
+   * its old record name. The new file is only created if it does not
+   * exist yet, so an existing record never gets overwritten.
+   * @param {*} schema
+   * @param {*} instance
+   * @param {*} oldName
+   * @param {*} newName
+   */
+  async renameRecord(schema, instance, oldName, newName) {
+    const from = this.getRecordPath(schema, oldName);
+    const to = this.getRecordPath(schema, newName);
+    try {
+      await fs.promises.writeFile(to, instance.toString(), { flag: `wx` });
+    } catch (err) {
+      if (err.code === `EEXIST`) throw new RecordAlreadyExists(to);
+      throw new RecordAccessError(to);
+    }
+    try {
+      await fs.promises.unlink(from);
+    } catch (err) {
+      if (err.code === `ENOENT`) return;
+      await fs.promises.unlink(to);
+      throw new RecordAccessError(from);
+    }
+  }
+
   /**
    * Delete a model instance from the model schema's data directory.
    * @param {*} schema
    * @param {*} recordName
    */
   async deleteRecord(schema, recordName) {
-    const filepath = `${this.storePath}/${schema.__meta.name}/${recordName}.json`;
+    const filepath = this.getRecordPath(schema, recordName);
     if (!fs.existsSync(filepath)) {
       throw new RecordDoesNotExist(filepath);
     }
@@ -94,6 +157,46 @@ export class FileSystemStore extends ModelStore {
     }
   }
 
+  /**
+   * List the names of all records stored for a model schema.
+   * @param {*} schema
+   * @returns {string[]} The list of (decoded) record names, sorted.
+   */
+  async listRecords(schema) {
+    return this.getRecordFiles(schema)
+      .filter((filename) => isEncodedRecordName(filename))
+      .map((filename) => decodeRecordName(filename))
+      .sort();
+  }
+
+  /**
+   * Rename record files that were saved before record names were
+   * encoded, i.e. files named after their plain record name, so that
+   * they can be loaded again. Files that are already correctly encoded
+   * are left alone.
+   * @param {*} schema
+   * @returns {object[]} A list of <code>{ from, to }</code> file names for each renamed record.
+   */
+  async reencodeRecords(schema) {
+    const dir = this.getRecordDir(schema);
+    const renamed = [];
+    for (const filename of this.getRecordFiles(schema)) {
+      if (isEncodedRecordName(filename)) continue;
+      const from = `${dir}/${filename}.json`;
+      const to = this.getRecordPath(schema, filename);
+      if (fs.existsSync(to)) {
+        throw new RecordAlreadyExists(to);
+      }
+      try {
+        await fs.promises.rename(from, to);
+      } catch (err) {
+        throw new RecordAccessError(from);
+      }
+      renamed.push({ from, to });
+    }
+    return renamed;
+  }
+
   /**
    * Save a model's schema to disk
    * @param {*} Model
@@ -11,6 +11,15 @@ import { MissingImplementation, IncorrectSyncType } from "../../errors.js";
  * For an example of a ModelStore implementation, see {@link FileSystemStore}.
  * </p>
  *
+ * <p>
+ * Stores may also implement an optional <code>async listRecords(schema)</code>
+ * method that yields the record names for all records stored for a schema,
+ * which is used by {@link Model.list}, and an optional
+ * <code>async renameRecord(schema, instance, oldName, newName)</code> method
+ * that saves a record under a new name, removes the old record, and throws
+ * a <code>RecordAlreadyExists</code> error if the new name is already taken.
+ * </p>
+ *
  * @hideconstructor
  */
 export class ModelStore {
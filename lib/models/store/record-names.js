@@ -0,0 +1,58 @@
+import { InvalidRecordName } from "../../errors.js";
+
+/**
+ * Characters that encodeURIComponent leaves as-is, but that
+ * are not allowed in file names on every file system.
+ * @ignore
+ */
+const UNSAFE_CHARACTERS = /[!~*'()]/g;
+
+/**
+ * Reject record names that are empty, or that contain "." or ".."
+ * path segments, as those could be used to resolve to a file that
+ * lives outside of a model's data directory.
+ * @ignore
+ */
+export function verifyRecordName(recordName) {
+  const name = String(recordName ?? ``);
+  if (!name || name.split(/[/\\]/).some((s) => s === `.` || s === `..`)) {
+    throw new InvalidRecordName(recordName);
+  }
+  return name;
+}
+
+/**
+ * Encode a record name so that it can safely be used as file name:
+ * anything other than letters, digits, "-", "_", and non-leading,
+ * non-trailing "." is percent-encoded (as UTF-8), which means path
+ * separators, drive separators, and unicode can't cause problems.
+ * @ignore
+ */
+export function encodeRecordName(recordName) {
+  return encodeURIComponent(verifyRecordName(recordName))
+    .replace(
+      UNSAFE_CHARACTERS,
+      (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`
+    )
+    .replace(/^\.|\.$/g, `%2E`);
+}
+
+/**
+ * Turn an encoded file name back into the record name it was made for.
+ * @ignore
+ */
+export function decodeRecordName(filename) {
+  return decodeURIComponent(filename);
+}
+
+/**
+ * Check whether a file name is already the encoded form of a record name.
+ * @ignore
+ */
+export function isEncodedRecordName(filename) {
+  try {
+    return encodeRecordName(decodeRecordName(filename)) === filename;
+  } catch (e) {
+    return false;
+  }
+}
@@ -1,3 +1,6 @@
+import { batchChanges } from "./change-events.js";
+import { randomBytes } from "./random/random-bytes.js";
+
 /**
  * @namespace utils
  */
@@ -25,6 +28,59 @@ export function sortedObjectKeys(_, data) {
   return Object.fromEntries(Object.entries(data).sort());
 }
 
+/**
+ * Collections that need to be assigned as a whole, rather than have
+ * data merged into them key by key, report true for this symbol (as
+ * do property setters that need to see the full data being assigned).
+ * @ignore
+ */
+export const ASSIGN_WHOLE = Symbol(`assign whole`);
+
+/**
+ * Generate a record name, either as a UUID (for "auto" and "uuid"),
+ * or as a ULID, which sorts by creation time (for "ulid").
+ * @ignore
+ */
+export function generateRecordId(kind) {
+  if (kind === `ulid`) return generateULID();
+  return generateUUID();
+}
+
+/**
+ * Generate a (version 4) UUID.
+ * @ignore
+ */
+function generateUUID() {
+  const bytes = randomBytes(16);
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = [...bytes].map((b) => b.toString(16).padStart(2, `0`)).join(``);
+  return [
+    hex.substring(0, 8),
+    hex.substring(8, 12),
+    hex.substring(12, 16),
+    hex.substring(16, 20),
+    hex.substring(20),
+  ].join(`-`);
+}
+
+// Crockford's base32 alphabet, as used by ULIDs.
+const CROCKFORD = `0123456789ABCDEFGHJKMNPQRSTVWXYZ`;
+
+/**
+ * Generate a ULID: a 10 character timestamp, followed by 16 random characters.
+ * @ignore
+ */
+function generateULID(now = Date.now()) {
+  let time = ``;
+  for (let i = 0; i < 10; i++) {
+    time = CROCKFORD[now % 32] + time;
+    now = Math.floor(now / 32);
+  }
+  const random = [...randomBytes(16)].map((b) => CROCKFORD[b % 32]).join(``);
+  return time + random;
+}
+
 /**
  * Deep-copy an object (not used atm, but it might as well be here).
  * @ignore
@@ -40,9 +96,24 @@ export function copyFromSource(source, constructed = false) {
  * @ignore
  */
 export function setDataFrom(source, target, constructed = true) {
+  // Bulk updates should be reported as a single set of changes.
+  batchChanges(() => assignDataFrom(source, target, constructed));
+}
+
+/**
+ * The actual deep-assignment for setDataFrom.
+ * @ignore
+ */
+function assignDataFrom(source, target, constructed) {
   inflate(source);
   for (const [key, val] of Object.entries(source)) {
-    if (val !== null && typeof val === `object`) {
+    // Arrays get assigned as a whole, so that any array handling
+    // on the target can validate the list as a single value.
+    if (val instanceof Array && target[key] instanceof Array) {
+      target[key] = val;
+    } else if (isSubtree(val) && assignsWhole(target, key)) {
+      target[key] = val;
+    } else if (isSubtree(val)) {
       if (target[key] === undefined) {
         target[key] = constructed ? new val.__proto__.constructor() : {};
       }
@@ -53,6 +124,27 @@ export function setDataFrom(source, target, constructed = true) {
   }
 }
 
+/**
+ * Determine whether a target's property should be assigned as a whole,
+ * either because its value says so, or because its setter does.
+ * @ignore
+ */
+function assignsWhole(target, key) {
+  const setter = Object.getOwnPropertyDescriptor(target, key)?.set;
+  return !!(target[key]?.[ASSIGN_WHOLE] || setter?.[ASSIGN_WHOLE]);
+}
+
+/**
+ * Determine whether a value is a data subtree, rather than a leaf
+ * value. Note that Date objects are objects, but they are values.
+ * @ignore
+ */
+function isSubtree(value) {
+  return (
+    value !== null && typeof value === `object` && !(value instanceof Date)
+  );
+}
+
 /**
  * Inflate a pure, flat pathkey:string object to
  * a regular nested object instead. Note that if
@@ -68,11 +160,14 @@ export function inflate(data) {
 
   // As a short circuit, we don't inflate anything that isn't
   // a pure, flat object.
-  if (entries.some(([_, v]) => typeof v === `object`)) {
+  if (entries.some(([_, v]) => isSubtree(v))) {
     return data;
   }
 
   entries.forEach(([key, value]) => {
+    // Keys without nesting are left alone, so that we don't end up
+    // replacing a model's accessor properties with plain values.
+    if (!key.includes(`.`)) return;
     const path = key.split(`.`);
     delete data[key];
     let level = data;
@@ -5,11 +5,13 @@
  *
  * @namespace schema
  */
-import { MissingRecordNameBinding } from "../errors.js";
+import { MissingRecordNameBinding, IncompleteRecordName } from "../errors.js";
 import { conforms } from "./conforms.js";
 import { fromSchemaToData } from "../models/models.js";
 import { createDiff, applyDiff, makeChangeHandler } from "../diff/diff.js";
-import { inflate } from "../models/utils.js";
+import { ASSIGN_WHOLE, inflate } from "../models/utils.js";
+import { GENERATED_RECORD_NAMES, RECORD_ID_FIELD } from "../models/fields.js";
+import { getModelAncestors } from "../models/model-inheritance.js";
 
 /**
  * Get the string identifier for this schema-conformant data object.
@@ -31,10 +33,50 @@ export function getRecordNameFor(schema, instance) {
     return indicator(instance);
   }
 
+  // Generated record names are stored in the hidden record id field.
+  if (GENERATED_RECORD_NAMES.includes(indicator)) {
+    return instance[RECORD_ID_FIELD];
+  }
+
+  // Composite record names are built from several keypaths, either as an
+  // array of keypaths, or as a template string such as "{tenant}/{slug}".
+  if (Array.isArray(indicator) || RECORD_NAME_TEMPLATE.test(indicator)) {
+    return getCompositeRecordName(schema, indicator, instance);
+  }
+
   // Otherwise, it's a keypath. Traverse the instance to find the key whose value should act as record name.
   return indicator.split(`.`).reduce((obj, e) => obj[e], instance);
 }
 
+/**
+ * Template keypaths are written as {keypath}.
+ * @ignore
+ */
+const RECORD_NAME_TEMPLATE = /\{([^{}]+)\}/;
+
+/**
+ * Build a record name out of multiple keypath values. Each value is URI
+ * encoded, so that values can't "break out" of their part of the name,
+ * and an array of keypaths is treated as the template "{a}/{b}/...".
+ * @ignore
+ */
+function getCompositeRecordName(schema, indicator, instance) {
+  const template = Array.isArray(indicator)
+    ? indicator.map((keypath) => `{${keypath}}`).join(`/`)
+    : indicator;
+
+  return template.replace(
+    new RegExp(RECORD_NAME_TEMPLATE.source, `g`),
+    (_, keypath) => {
+      const value = keypath.split(`.`).reduce((obj, e) => obj?.[e], instance);
+      if (value === undefined || value === null || value === ``) {
+        throw new IncompleteRecordName(schema.__meta.name, keypath);
+      }
+      return encodeURIComponent(value);
+    }
+  );
+}
+
 /**
  * Fully quality a schema by linking in all external schema it depends on.
  * @name schema.linkSchema
@@ -58,6 +100,18 @@ export function linkSchema(schemaInstance, getLatestSchema) {
   // find all fields that we need to recurse through.
   Object.entries(schemaInstance).forEach(([key, value]) => {
     if (key === `__meta`) return;
+
+    // union branches are either links, or schema we need to recurse through.
+    if (value.shapes) {
+      Object.entries(value.shapes).forEach(([kind, branch]) => {
+        const { schema, schemaName } = branch.__meta ?? {};
+        if (schema && schemaName)
+          value.shapes[kind] = getLatestSchema(schemaName);
+        else linkSchema(branch, getLatestSchema);
+      });
+      return;
+    }
+
     const recursionData = value.shape
       ? value.shape
       : value.__meta
@@ -81,7 +135,25 @@ export function unlinkSchema(schema) {
 
   (function iterate(s) {
     Object.entries(s).forEach(([key, value]) => {
-      const { __meta, shape } = value;
+      const { __meta, shape, shapes } = value;
+
+      // Union branches get linked individually.
+      if (shapes) {
+        Object.entries(shapes).forEach(([kind, branch]) => {
+          if (branch.__meta?.distinct) {
+            list.push({ schema: branch, __meta: branch.__meta });
+            shapes[kind] = {
+              __meta: {
+                schema: branch.__proto__.constructor.name,
+                schemaName: branch.__meta.name,
+              },
+            };
+          } else {
+            iterate(branch);
+          }
+        });
+      }
+
       if (shape) {
         if (__meta?.distinct) {
           list.push({ schema: shape, __meta });
@@ -118,7 +190,13 @@ export function getModelSet(Model) {
   (function iterate(model) {
     const s = new model(getModelSet, Date.now());
     Object.entries(s).forEach(([key, value]) => {
-      const { __meta, shape } = value;
+      const { __meta, shape, shapes } = value;
+      if (shapes) {
+        Object.values(shapes).forEach((branch) => {
+          list.push(branch.__proto__.constructor);
+          iterate(branch.__proto__.constructor);
+        });
+      }
       if (shape) {
         //if (__meta?.distinct) {
         list.push(shape.__proto__.constructor);
@@ -129,6 +207,13 @@ export function getModelSet(Model) {
     });
   })(Model);
 
+  // Models that extend other models depend on those models' schemas, too.
+  list.slice().forEach((model) => {
+    getModelAncestors(model, getModelSet).forEach((ancestor) => {
+      if (!list.includes(ancestor)) list.push(ancestor);
+    });
+  });
+
   return list;
 }
 
@@ -226,6 +311,9 @@ export function createDefault(schema) {
     Object.entries(schema)
       .map(([key, value]) => {
         if (key === `__meta`) return false;
+        if (typeof value.default === `function`) {
+          return [key, value.default()];
+        }
         if (value.default !== undefined) return [key, value.default];
         if (value.shape) return [key, createDefault(value.shape)];
       })
@@ -286,7 +374,52 @@ function migrateWithSchema(object, schema1, schema2) {
  * @ignore
  */
 export function makeSchemaChangeHandler() {
-  return makeChangeHandler(ignoreKey, filterKeyString, transformValue);
+  const baseHandler = makeChangeHandler(
+    ignoreKey,
+    filterKeyString,
+    transformValue
+  );
+
+  // Toggling a field's array flag is a metadata change that nevertheless
+  // affects data, so we intercept those operations. Any custom handlers
+  // get assigned to the returned function, so we make sure the base
+  // handler can see those, too.
+  const changeHandler = function changeHandler(object, operation) {
+    Object.assign(baseHandler, changeHandler);
+    if (operation.key?.endsWith(ARRAY_FLAG)) {
+      return toggleArray(object, operation, changeHandler);
+    }
+    return baseHandler(object, operation);
+  };
+
+  return Object.assign(changeHandler, baseHandler);
+}
+
+const ARRAY_FLAG = `.__meta.array`;
+
+/**
+ * Wrap a field's value in an array when a field becomes an array
+ * field, or unwrap it (keeping the first element) when it stops
+ * being one.
+ * @ignore
+ */
+function toggleArray(object, operation, changeHandler) {
+  const { type, key, value, newValue, fn } = operation;
+  const fieldKey = filterKeyString(key.slice(0, -ARRAY_FLAG.length));
+  const { level, propName } = changeHandler.getObjectLevel(object, fieldKey);
+  const array = (type === `add` ? value : newValue) === true;
+  const current = level[propName];
+
+  if (current !== undefined) {
+    if (array && !(current instanceof Array)) {
+      level[propName] = [current];
+    } else if (!array && current instanceof Array) {
+      if (current.length) level[propName] = current[0];
+      else delete level[propName];
+    }
+  }
+
+  changeHandler[fn]?.(object, operation, { level, propName });
 }
 
 /**
@@ -298,7 +431,10 @@ export function makeSchemaChangeHandler() {
  * @ignore
  */
 function ignoreKey(key, _type) {
+  if (key.endsWith(ARRAY_FLAG)) return false;
   if (key.includes(`__meta`)) return true;
+  // union branch changes can't be mapped onto data positionally.
+  if (key.includes(`.shapes.`)) return true;
   if (key.includes(`.default`)) return true;
   if (key.includes(`.choices`)) return true;
 }
@@ -326,5 +462,9 @@ function transformValue(key, value) {
   const copied = JSON.parse(JSON.stringify(value));
   const transformed = { [key]: copied };
   fromSchemaToData(transformed);
-  return transformed[key];
+  const result = transformed[key];
+  // array and map fields are validating collections, but data should be plain.
+  if (result instanceof Array) return [...result];
+  if (result?.[ASSIGN_WHOLE]) return { ...result };
+  return result;
 }
@@ -2,6 +2,7 @@
  * @namespace conforms
  */
 import { TYPES } from "../equals/types.js";
+import { equals } from "../equals/equals.js";
 
 function createResultAggregator() {
   const results = {
@@ -98,6 +99,10 @@ function __conforms(schema, object, strict, allowIncomplete, results, prefix) {
       };
       if (args.schema.__meta.array) {
         testArray(args);
+      } else if (args.schema.__meta.map) {
+        testMap(args);
+      } else if (args.schema.shapes) {
+        testOneOf(args);
       } else {
         testField(args);
       }
@@ -126,30 +131,41 @@ function testArray({
   prefix,
   results,
 }) {
-  const { required } = schema.__meta;
+  const { required, minItems, maxItems, unique } = schema.__meta;
   const { warn, error } = results;
 
   const field = `${prefix ? `${prefix}.` : ``}${field_name}`;
-  const value = object[field_name];
+  let value = object[field_name];
+
+  // Form submissions encode arrays as "field.0", "field.1", etc. keypaths,
+  // which inflate into plain objects with numerical keys, so we turn those
+  // back into arrays (skipping over any empty inputs) when not in strict mode.
+  if (!strict && isIndexedObject(value)) {
+    value = Object.keys(value)
+      .sort((a, b) => a - b)
+      .map((k) => value[k])
+      .filter((v) => v !== ``);
+    object[field_name] = value;
+  }
 
-  // if this field is required, it can't be undefined,
-  // but even if it's defined, it can't be an empty array.
-  if (required) {
+  // An empty array is treated the same as a missing array, so if this
+  // field is required, it can't be undefined, nor an empty array.
+  if (value === undefined || (value instanceof Array && value.length === 0)) {
+    if (!required) return;
+    if (allowIncomplete) {
+      return warn(
+        `${field}: missing (required, permitted through ALLOW_INCOMPLETE)).`
+      );
+    }
     if (value === undefined) {
       return error(`${field}: required array field missing.`);
     }
-    if (value instanceof Array && value.length === 0) {
-      return error(`${field}: empty required array field found.`);
-    }
-    return error(`${field}: required field must be an array.`);
+    return error(`${field}: empty required array field found.`);
   }
 
-  // if this is not a required field, and it's not defined,
-  // then we're done: there is nothing to test.
-  if (value === undefined) return;
-
   // If it *is* defined, we want to make sure that this is an array.
-  if (value !== undefined && !(value instanceof Array)) {
+  if (!(value instanceof Array)) {
+    if (required) return error(`${field}: required field must be an array.`);
     return error(`${field}: must be an array`);
   }
 
@@ -164,6 +180,206 @@ function testArray({
       results,
     });
   });
+
+  if (minItems !== undefined && value.length < minItems) {
+    error(`${field}: must have at least ${minItems} items.`);
+  }
+
+  if (maxItems !== undefined && value.length > maxItems) {
+    error(`${field}: must have at most ${maxItems} items.`);
+  }
+
+  if (unique) {
+    const duplicate = value.find((v, i) =>
+      value.slice(0, i).some((w) => equals(v, w))
+    );
+    if (duplicate !== undefined) {
+      error(`${field}: values must be unique, but [${duplicate}] is repeated.`);
+    }
+  }
+}
+
+/**
+ * Test a map of values for individual key and value conformance to the indicated schema.
+ * @param {*} object
+ * @param {*} field_name
+ * @param {*} schema
+ * @param {*} strict
+ * @param {*} allowIncomplete
+ * @param {*} prefix
+ * @param {*} results
+ * @ignore
+ */
+function testMap({
+  object,
+  field_name,
+  schema,
+  strict,
+  allowIncomplete,
+  prefix,
+  results,
+}) {
+  const { required, keyPattern } = schema.__meta;
+  const { warn, error } = results;
+
+  const field = `${prefix ? `${prefix}.` : ``}${field_name}`;
+  let value = object[field_name];
+
+  // Form submissions encode maps as "field.0.key", "field.0.value", etc.
+  // keypaths, so we turn those back into maps (skipping over any entries
+  // without a key) when not in strict mode.
+  if (
+    !strict &&
+    isIndexedObject(value) &&
+    Object.values(value).every(isEntry)
+  ) {
+    value = Object.fromEntries(
+      Object.values(value)
+        .filter((e) => e.key !== undefined && e.key !== ``)
+        .map((e) => [e.key, e.value])
+    );
+    object[field_name] = value;
+  }
+
+  // Just like arrays, an empty map is treated the same as a missing map.
+  const empty =
+    value === undefined || (isMap(value) && Object.keys(value).length === 0);
+
+  if (empty) {
+    if (!required) return;
+    if (allowIncomplete) {
+      return warn(
+        `${field}: missing (required, permitted through ALLOW_INCOMPLETE)).`
+      );
+    }
+    if (value === undefined) {
+      return error(`${field}: required map field missing.`);
+    }
+    return error(`${field}: empty required map field found.`);
+  }
+
+  if (!isMap(value)) {
+    return error(`${field}: must be a map of keys to values.`);
+  }
+
+  Object.keys(value).forEach((key) => {
+    if (keyPattern && !toRegExp(keyPattern).test(key)) {
+      return error(
+        `${field}: key [${key}] does not match pattern ${toRegExp(keyPattern)}.`
+      );
+    }
+    testField({
+      object: value,
+      field_name: key,
+      schema,
+      strict,
+      allowIncomplete,
+      prefix: field,
+      results,
+    });
+  });
+}
+
+/**
+ * Test a value against whichever of the schema's union shapes
+ * its discriminator value says it should conform to.
+ * @param {*} object
+ * @param {*} field_name
+ * @param {*} schema
+ * @param {*} strict
+ * @param {*} allowIncomplete
+ * @param {*} prefix
+ * @param {*} results
+ * @ignore
+ */
+function testOneOf({
+  object,
+  field_name,
+  schema,
+  strict,
+  allowIncomplete,
+  prefix,
+  results,
+}) {
+  const { required, discriminator } = schema.__meta;
+  const { warn, error } = results;
+
+  const field = `${prefix ? `${prefix}.` : ``}${field_name}`;
+  const value = object[field_name];
+
+  if (value === undefined) {
+    if (!required) return;
+    if (allowIncomplete) {
+      return warn(
+        `${field}: missing (required, permitted through ALLOW_INCOMPLETE)).`
+      );
+    }
+    return error(`${field}: required field missing.`);
+  }
+
+  if (!isMap(value)) {
+    return error(`${field}: must be an object.`);
+  }
+
+  const kind = value[discriminator];
+  const shape = schema.shapes[kind];
+  if (!shape) {
+    return error(
+      `${field}: ${discriminator} [${kind}] is not one of [${Object.keys(
+        schema.shapes
+      ).join(`,`)}].`
+    );
+  }
+
+  // The discriminator is not part of the shape itself, so we
+  // add it in as a field that can only take on this one value.
+  const branch = {
+    ...shape,
+    [discriminator]: { __meta: { required: true }, choices: [kind] },
+  };
+  __conforms(branch, value, strict, allowIncomplete, results, field);
+}
+
+/**
+ * Check whether a value can act as a map, i.e. a non-array object.
+ * @param {*} value
+ * @returns {boolean} true if this value is a map
+ * @ignore
+ */
+function isMap(value) {
+  return (
+    !!value &&
+    typeof value === `object` &&
+    !(value instanceof Array) &&
+    !(value instanceof Date)
+  );
+}
+
+/**
+ * Check whether a value is a {key, value} form submission entry.
+ * @param {*} value
+ * @returns {boolean} true if this value is a map entry
+ * @ignore
+ */
+function isEntry(value) {
+  return (
+    isMap(value) &&
+    Object.keys(value).every((k) => k === `key` || k === `value`)
+  );
+}
+
+/**
+ * Check whether a value is a plain object with only numerical keys.
+ * @param {*} value
+ * @returns {boolean} true if this object can be treated as an array
+ * @ignore
+ */
+function isIndexedObject(value) {
+  if (!value || typeof value !== `object` || value instanceof Array) {
+    return false;
+  }
+  const keys = Object.keys(value);
+  return keys.length > 0 && keys.every((k) => /^\d+$/.test(k));
 }
 
 /**
@@ -188,10 +404,20 @@ function testField({
 }) {
   const { warn, error } = results;
   const { type, choices, shape } = schema;
-  const { required, configurable } = schema.__meta;
+  const { required, configurable, nullable } = schema.__meta;
   const field = `${prefix ? `${prefix}.` : ``}${field_name}`;
   const value = object[field_name];
 
+  // Nullable fields accept null as an explicit "no value" value, which is
+  // also what an empty form value means for fields that aren't free text.
+  if (nullable) {
+    if (!strict && value === `` && (type !== `string` || choices)) {
+      if (!choices?.includes(``)) object[field_name] = null;
+      return;
+    }
+    if (value === null) return;
+  }
+
   if (value === undefined) {
     if (required) {
       if (schema.default === undefined) {
@@ -237,10 +463,6 @@ function testField({
     return __conforms(shape, value, strict, allowIncomplete, results, field);
   }
 
-  if (type && TYPES[type](value, true, choices)) {
-    return;
-  }
-
   if (type && !TYPES[type](value, true, choices)) {
     if (!strict && TYPES[type](value, false, choices)) {
       object[field_name] = coerce(value, type);
@@ -248,6 +470,112 @@ function testField({
       return error(`${field}: value is not a valid ${type}.`);
     }
   }
+
+  if (type === `string`) {
+    const normalized = normalize(object[field_name], schema.__meta);
+    if (normalized !== object[field_name]) {
+      if (strict) {
+        return error(
+          `${field}: value [${value}] does not match its normalized form [${normalized}].`
+        );
+      }
+      object[field_name] = normalized;
+    }
+  }
+
+  testConstraints(field, object[field_name], schema, results);
+}
+
+/**
+ * Normalize a string value based on the schema's trim/lowercase flags.
+ * @param {String} value
+ * @param {*} __meta
+ * @returns {String} the normalized string
+ * @ignore
+ */
+function normalize(value, { trim, lowercase }) {
+  if (trim) value = value.trim();
+  if (lowercase) value = value.toLocaleLowerCase();
+  return value;
+}
+
+/**
+ * Patterns may be RegExp objects, plain strings, or {source, flags}
+ * objects, which is how patterns are represented in stored schema.
+ * @param {*} pattern
+ * @returns {RegExp} the pattern as a RegExp
+ * @ignore
+ */
+function toRegExp(pattern) {
+  if (pattern instanceof RegExp) return pattern;
+  if (typeof pattern === `string`) return new RegExp(pattern);
+  return new RegExp(pattern.source, pattern.flags);
+}
+
+/**
+ * Test a correctly typed value against any additional constraints
+ * that the schema specifies for it, such as min/max bounds.
+ * @param {*} field
+ * @param {*} value
+ * @param {*} schema
+ * @param {*} results
+ * @ignore
+ */
+function testConstraints(field, value, schema, results) {
+  const { error } = results;
+  const { type } = schema;
+  const { min, max, integer, step } = schema.__meta;
+  const { minLength, maxLength, pattern } = schema.__meta;
+
+  if (type === `string`) {
+    if (minLength !== undefined && value.length < minLength) {
+      error(
+        `${field}: value [${value}] is shorter than ${minLength} characters.`
+      );
+    }
+    if (maxLength !== undefined && value.length > maxLength) {
+      error(
+        `${field}: value [${value}] is longer than ${maxLength} characters.`
+      );
+    }
+    if (pattern !== undefined) {
+      const re = toRegExp(pattern);
+      // reset, in case this is a stateful (global or sticky) pattern.
+      re.lastIndex = 0;
+      if (!re.test(value)) {
+        error(`${field}: value [${value}] does not match pattern ${re}.`);
+      }
+    }
+  }
+
+  if (type === `number`) {
+    if (integer && !Number.isInteger(value)) {
+      error(`${field}: value [${value}] is not an integer.`);
+    }
+    if (min !== undefined && value < min) {
+      error(`${field}: value [${value}] is less than ${min}.`);
+    }
+    if (max !== undefined && value > max) {
+      error(`${field}: value [${value}] is greater than ${max}.`);
+    }
+    if (step !== undefined) {
+      // steps are counted from the minimum value, if there is one, like HTML inputs do.
+      const steps = (value - (min ?? 0)) / step;
+      if (Math.abs(steps - Math.round(steps)) > 1e-9) {
+        error(`${field}: value [${value}] is not a valid step of ${step}.`);
+      }
+    }
+  }
+
+  if (type === `date` || type === `datetime`) {
+    const time = value.getTime();
+    if (min !== undefined && time < new Date(min).getTime()) {
+      error(`${field}: value [${value.toISOString()}] is before ${min}.`);
+    }
+    if (max !== undefined && time > new Date(max).getTime()) {
+      error(`${field}: value [${value.toISOString()}] is after ${max}.`);
+    }
+  }
 }
 
 // Force values to fit the type they need to be, if possible
@@ -274,6 +602,10 @@ function coerce(value, type, choices) {
     if (type === `string`) {
       return `${value}`;
     }
+
+    if (type === `date` || type === `datetime`) {
+      return new Date(value);
+    }
   }
 
   if (choices) {
@@ -1,6 +1,6 @@
 import util from "util";
 import { JSDOM } from "jsdom";
-import { Models } from "use-models-for-data";
+import { Fields, Model, Models } from "use-models-for-data";
 import { User } from "../models/user.model.js";
 import { BadForm } from "../models/model.with.bad.form.js";
 
@@ -186,4 +186,203 @@ describe(`Testing form generation from models`, () => {
 
     tree.onSubmit();
   });
+
+  test(`Date fields become date/datetime-local inputs`, () => {
+    class Appointment extends Model {
+      __meta = {
+        name: `appointment`,
+      };
+      day = Fields.date({ min: `2000-01-01`, max: `2099-12-31` });
+      starts = Fields.datetime();
+    }
+
+    const appointment = Appointment.create({
+      day: `2021-05-01`,
+      starts: new Date(2021, 4, 1, 9, 30),
+    });
+    const formHTML = appointment.toHTMLForm();
+    const document = new JSDOM(formHTML).window.document;
+
+    const day = document.getElementById(`day`);
+    expect(day.type).toBe(`date`);
+    expect(day.value).toBe(`2021-05-01`);
+    expect(day.min).toBe(`2000-01-01`);
+    expect(day.max).toBe(`2099-12-31`);
+
+    const starts = document.getElementById(`starts`);
+    expect(starts.type).toBe(`datetime-local`);
+    expect(starts.value).toBe(`2021-05-01T09:30`);
+  });
+
+  test(`Number constraints become input attributes`, () => {
+    class Server extends Model {
+      __meta = {
+        name: `server`,
+      };
+      port = Fields.number({ integer: true, min: 1, max: 65535, default: 80 });
+      load = Fields.number({ min: 0, max: 1, step: 0.25 });
+    }
+
+    const formHTML = Server.create().toHTMLForm();
+    const document = new JSDOM(formHTML).window.document;
+
+    const port = document.getElementById(`port`);
+    expect(port.min).toBe(`1`);
+    expect(port.max).toBe(`65535`);
+    expect(port.step).toBe(`1`);
+
+    const load = document.getElementById(`load`);
+    expect(load.step).toBe(`0.25`);
+  });
+
+  test(`String constraints become input attributes`, () => {
+    class Account extends Model {
+      __meta = {
+        name: `account`,
+      };
+      handle = Fields.string({
+        minLength: 3,
+        maxLength: 16,
+        pattern: /^[a-z0-9_]+$/,
+      });
+    }
+
+    const formHTML = Account.create({ handle: `tester` }).toHTMLForm();
+    const document = new JSDOM(formHTML).window.document;
+
+    const handle = document.getElementById(`handle`);
+    expect(handle.getAttribute(`minlength`)).toBe(`3`);
+    expect(handle.getAttribute(`maxlength`)).toBe(`16`);
+    expect(handle.getAttribute(`pattern`)).toBe(`^[a-z0-9_]+$`);
+  });
+
+  test(`Primitive arrays become repeatable inputs`, () => {
+    class Post extends Model {
+      __meta = {
+        name: `post`,
+      };
+      tags = Fields.string({ array: true });
+      colors = Fields.string({
+        array: true,
+        choices: [`red`, `green`, `blue`],
+      });
+    }
+
+    const post = Post.create({ tags: [`a`, `b`], colors: [`green`] });
+    const formHTML = post.toHTMLForm();
+    const document = new JSDOM(formHTML).window.document;
+
+    const tags = document.getElementById(`tags`);
+    expect(tags.tagName).toBe(`FIELDSET`);
+    expect(tags.querySelectorAll(`input`).length).toBe(3);
+    expect(document.getElementById(`tags.0`).value).toBe(`a`);
+    expect(document.getElementById(`tags.1`).value).toBe(`b`);
+    expect(document.getElementById(`tags.2`).value).toBe(``);
+
+    expect(document.getElementById(`colors.0`).checked).toBe(false);
+    expect(document.getElementById(`colors.1`).checked).toBe(true);
+    expect(document.getElementById(`colors.2`).value).toBe(`blue`);
+
+    post.updateFromSubmission({
+      "tags.0": `a`,
+      "tags.1": ``,
+      "tags.2": `c`,
+      "colors.0": `red`,
+    });
+    expect(post.tags).toStrictEqual([`a`, `c`]);
+    expect(post.colors).toStrictEqual([`red`]);
+  });
+
+  test(`Map fields become repeatable key/value entries`, () => {
+    class Scores extends Model {
+      __meta = {
+        name: `scores`,
+      };
+      points = Fields.map(Fields.number(), { keyPattern: /^[a-z]+$/ });
+    }
+
+    const scores = Scores.create({ points: { alice: 3 } });
+    const formHTML = scores.toHTMLForm();
+    const document = new JSDOM(formHTML).window.document;
+
+    const points = document.getElementById(`points`);
+    expect(points.tagName).toBe(`FIELDSET`);
+    expect(points.querySelectorAll(`.map-entry`).length).toBe(2);
+
+    const key = document.getElementById(`points.0.key`);
+    expect(key.value).toBe(`alice`);
+    expect(key.getAttribute(`pattern`)).toBe(`^[a-z]+$`);
+    expect(document.getElementById(`points.0.value`).value).toBe(`3`);
+    expect(document.getElementById(`points.1.key`).value).toBe(``);
+
+    scores.updateFromSubmission({
+      "points.0.key": `alice`,
+      "points.0.value": `4`,
+      "points.1.key": `bob`,
+      "points.1.value": `2`,
+    });
+    expect(scores.points.valueOf()).toStrictEqual({ alice: 4, bob: 2 });
+  });
+
+  test(`Nullable fields get an empty option, submitted as null`, () => {
+    class Survey extends Model {
+      __meta = {
+        name: `survey`,
+      };
+      rating = Fields.choice([1, 2, 3], { nullable: true });
+      agreed = Fields.boolean({ nullable: true });
+      age = Fields.number({ nullable: true });
+    }
+
+    const survey = Survey.create({ rating: null, agreed: true, age: null });
+    const formHTML = survey.toHTMLForm();
+    const document = new JSDOM(formHTML).window.document;
+
+    const rating = document.getElementById(`rating`);
+    expect(rating.tagName).toBe(`SELECT`);
+    expect(rating.options.length).toBe(4);
+    expect(rating.value).toBe(``);
+
+    const agreed = document.getElementById(`agreed`);
+    expect(agreed.tagName).toBe(`SELECT`);
+    expect(agreed.value).toBe(`true`);
+    expect(document.getElementById(`age`).value).toBe(``);
+
+    survey.updateFromSubmission({ rating: `2`, agreed: ``, age: `` });
+    expect(survey.valueOf()).toStrictEqual({
+      rating: 2,
+      agreed: null,
+      age: null,
+    });
+  });
+
+  test(`Timestamp fields are left out of forms, unless declared`, () => {
+    class Memo extends Model {
+      __meta = {
+        name: `memo`,
+        timestamps: true,
+      };
+      text = Fields.string();
+    }
+
+    const createdAt = new Date(`2021-01-01T12:00:00.000Z`);
+    const memo = Memo.create({ text: `hello`, createdAt });
+    let document = new JSDOM(memo.toHTMLForm()).window.document;
+    expect(document.getElementById(`text`)).not.toBe(null);
+    expect(document.getElementById(`createdAt`)).toBe(null);
+    expect(document.getElementById(`updatedAt`)).toBe(null);
+
+    class DatedMemo extends Model {
+      __meta = {
+        name: `dated memo`,
+        timestamps: true,
+        form: [{ heading: `memo`, fields: [`text`, `createdAt`] }],
+      };
+      text = Fields.string();
+    }
+
+    const dated = DatedMemo.create({ text: `hello`, createdAt });
+    document = new JSDOM(dated.toHTMLForm()).window.document;
+    expect(document.getElementById(`createdAt`)).not.toBe(null);
+  });
 });
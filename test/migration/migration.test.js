@@ -1,6 +1,6 @@
 import fs from "fs";
 import path from "path";
-import { Fields, Model, Models } from "use-models-for-data";
+import { Fields, Model, Models, schema } from "use-models-for-data";
 import { User as SimpleUser } from "./user.model.v1.js";
 import { User as ComplexUser } from "./user.model.v2.js";
 
@@ -357,4 +357,315 @@ describe(`Testing User model`, () => {
       `Schema mismatch for Sub2 and Test2, please migrate your data first.`
     );
   });
+
+  test(`Constraint-only schema changes update the schema without a migration`, async () => {
+    class Handle extends Model {
+      __meta = {
+        name: `handles`,
+        distinct: true,
+        recordName: `name`,
+      };
+      name = Fields.string({ required: true, pattern: /^[a-z]+$/ });
+      karma = Fields.number();
+    }
+
+    await Models.register(Handle);
+    await Handle.create({ name: `bob` }).save();
+
+    class Handle2 extends Model {
+      __meta = {
+        name: `handles`,
+        distinct: true,
+        recordName: `name`,
+      };
+      name = Fields.string({ required: true, pattern: /^[a-z0-9]+$/i });
+      karma = Fields.number({ min: 0 });
+    }
+
+    await Models.register(Handle2);
+
+    const schemaPath = `${storePath}/handles/.schema/handles.2.json`;
+    const stored = JSON.parse(fs.readFileSync(schemaPath).toString());
+    expect(stored.name.__meta.pattern).toStrictEqual({
+      flags: `i`,
+      source: `^[a-z0-9]+$`,
+    });
+    expect(stored.karma.__meta.min).toBe(0);
+    expect(fs.existsSync(`${storePath}/handles/handles.v1.to.v2.js`)).toBe(
+      false
+    );
+
+    // the updated schema is now the one that gets compared against
+    await Models.register(Handle2);
+    expect(fs.existsSync(`${storePath}/handles/.schema/handles.3.json`)).toBe(
+      false
+    );
+    expect((await Handle2.load(`bob`)).name).toBe(`bob`);
+  });
+
+  test(`Turning a field into an array field migrates its data`, async () => {
+    class Tagged extends Model {
+      __meta = {
+        name: `tagged`,
+        distinct: true,
+        recordName: `name`,
+      };
+      name = Fields.string({ required: true });
+      tag = Fields.string();
+    }
+
+    await Models.register(Tagged);
+
+    class Tagged2 extends Model {
+      __meta = {
+        name: `tagged`,
+        distinct: true,
+        recordName: `name`,
+      };
+      name = Fields.string({ required: true });
+      tag = Fields.string({ array: true });
+    }
+
+    let error;
+    try {
+      await Models.register(Tagged2);
+    } catch (e) {
+      error = e;
+    }
+
+    expect(() => {
+      throw error;
+    }).toThrow(`Schema mismatch for Tagged2, please migrate your data first.`);
+
+    const migrationPath = `${storePath}/tagged/tagged.v1.to.v2.js`;
+    const { operations } = await import(migrationPath);
+    expect(operations).toStrictEqual([
+      {
+        fn: "addTagMetaArray",
+        key: "tag.__meta.array",
+        rollback: "rollbackTagMetaArray",
+        type: "add",
+        value: true,
+      },
+    ]);
+
+    const data = { name: `test`, tag: `x` };
+    schema.migrate(data, operations);
+    expect(data).toStrictEqual({ name: `test`, tag: [`x`] });
+  });
+
+  test(`Adding a map field migrates its default as plain data`, async () => {
+    class League extends Model {
+      __meta = {
+        name: `league`,
+        distinct: true,
+        recordName: `name`,
+      };
+      name = Fields.string({ required: true });
+    }
+
+    await Models.register(League);
+
+    class League2 extends Model {
+      __meta = {
+        name: `league`,
+        distinct: true,
+        recordName: `name`,
+      };
+      name = Fields.string({ required: true });
+      scores = Fields.map(Fields.number(), { default: { home: 0 } });
+    }
+
+    let error;
+    try {
+      await Models.register(League2);
+    } catch (e) {
+      error = e;
+    }
+
+    expect(() => {
+      throw error;
+    }).toThrow(`Schema mismatch for League2, please migrate your data first.`);
+
+    const migrationPath = `${storePath}/league/league.v1.to.v2.js`;
+    const { operations } = await import(migrationPath);
+    expect(operations).toStrictEqual([
+      {
+        fn: "addScores",
+        key: "scores",
+        rollback: "rollbackScores",
+        type: "add",
+        value: {
+          __meta: { map: true },
+          default: { home: 0 },
+          type: "number",
+        },
+      },
+    ]);
+
+    // we have no custom handlers, so we don't need the handler names.
+    const data = { name: `test` };
+    schema.migrate(
+      data,
+      operations.map(({ fn, rollback, ...op }) => op)
+    );
+    expect(data).toStrictEqual({ name: `test`, scores: { home: 0 } });
+  });
+
+  test(`Changes to a linked union branch are detected`, async () => {
+    class Move extends Model {
+      __meta = {
+        name: `move`,
+        distinct: true,
+      };
+      steps = Fields.number({ required: true });
+    }
+
+    class Action extends Model {
+      __meta = {
+        name: `action`,
+        distinct: true,
+        recordName: `name`,
+      };
+      name = Fields.string({ required: true });
+      payload = Fields.oneOf([Move], { discriminator: `kind` });
+    }
+
+    await Models.register(Action);
+
+    const stored = JSON.parse(
+      fs.readFileSync(`${storePath}/action/.schema/action.1.json`).toString()
+    );
+    expect(stored.payload.shapes.move).toStrictEqual({
+      __meta: { schema: `Move`, schemaName: `move` },
+    });
+
+    class Move2 extends Model {
+      __meta = {
+        name: `move`,
+        distinct: true,
+      };
+      steps = Fields.number({ required: true });
+      running = Fields.boolean();
+    }
+
+    class Action2 extends Model {
+      __meta = {
+        name: `action`,
+        distinct: true,
+        recordName: `name`,
+      };
+      name = Fields.string({ required: true });
+      payload = Fields.oneOf([Move2], { discriminator: `kind` });
+    }
+
+    let error;
+    try {
+      await Models.register(Action2);
+    } catch (e) {
+      error = e;
+    }
+
+    // Action2 only links to a different class, which does not change
+    // its data, so only Move2 requires a migration.
+    expect(() => {
+      throw error;
+    }).toThrow(`Schema mismatch for Move2, please migrate your data first.`);
+    expect(fs.existsSync(`${storePath}/move/move.v1.to.v2.js`)).toBe(true);
+    expect(fs.existsSync(`${storePath}/action/action.v1.to.v2.js`)).toBe(false);
+  });
+
+  test(`A parent model schema change is detected for its subclasses, too`, async () => {
+    class Vehicle extends Model {
+      __meta = {
+        name: `vehicles`,
+        distinct: true,
+        recordName: `plate`,
+      };
+      plate = Fields.string({ required: true });
+    }
+
+    class Truck extends Vehicle {
+      __meta = {
+        name: `trucks`,
+      };
+      payload = Fields.number();
+    }
+
+    // registering a subclass registers the model(s) it extends, too
+    await Models.register(Truck);
+    expect(fs.existsSync(`${storePath}/vehicles/.schema/vehicles.1.json`)).toBe(
+      true
+    );
+    const stored = JSON.parse(
+      fs.readFileSync(`${storePath}/trucks/.schema/trucks.1.json`).toString()
+    );
+    expect(stored.__meta.extends).toBe(`Vehicle`);
+    expect(stored.plate).toBeDefined();
+
+    class Vehicle2 extends Model {
+      __meta = {
+        name: `vehicles`,
+        distinct: true,
+        recordName: `plate`,
+      };
+      plate = Fields.string({ required: true });
+      wheels = Fields.number({ default: 4 }); // <- the only difference
+    }
+
+    class Truck2 extends Vehicle2 {
+      __meta = {
+        name: `trucks`,
+      };
+      payload = Fields.number();
+    }
+
+    let error;
+    try {
+      await Models.register(Truck2);
+    } catch (e) {
+      error = e;
+    }
+
+    expect(() => {
+      throw error;
+    }).toThrow(
+      `Schema mismatch for Vehicle2 and Truck2, please migrate your data first.`
+    );
+  });
+
+  test(`Switching on timestamps does not require a migration`, async () => {
+    class Entry extends Model {
+      __meta = {
+        name: `entries`,
+        distinct: true,
+        recordName: `title`,
+      };
+      title = Fields.string({ required: true });
+    }
+
+    await Models.register(Entry);
+    await Entry.create({ title: `first` }).save();
+
+    class Entry2 extends Model {
+      __meta = {
+        name: `entries`,
+        distinct: true,
+        recordName: `title`,
+        timestamps: true,
+      };
+      title = Fields.string({ required: true });
+    }
+
+    await Models.register(Entry2);
+    expect(fs.existsSync(`${storePath}/entries/.schema/entries.2.json`)).toBe(
+      false
+    );
+
+    const entry = await Entry2.load(`first`);
+    expect(entry.createdAt).toBe(undefined);
+    entry.title = `second`;
+    await entry.save();
+    expect(entry.createdAt).toBeInstanceOf(Date);
+  });
 });
@@ -17,12 +17,271 @@ class Secondary extends Model {
   label = Fields.string();
 }
 
+class Appointment extends Model {
+  __meta = {
+    name: `appointment`,
+  };
+
+  day = Fields.date({ min: `2000-01-01`, max: `2099-12-31` });
+  starts = Fields.datetime({ default: `2021-01-01T12:00:00.000Z` });
+}
+
+class Server extends Model {
+  __meta = {
+    name: `server`,
+  };
+
+  port = Fields.number({ integer: true, min: 1, max: 65535, default: 80 });
+  load = Fields.number({ min: 0, max: 1, step: 0.25, default: 0 });
+}
+
+class Account extends Model {
+  __meta = {
+    name: `account`,
+  };
+
+  handle = Fields.string({
+    minLength: 3,
+    maxLength: 16,
+    pattern: /^[a-z0-9_]+$/,
+    trim: true,
+    lowercase: true,
+  });
+}
+
+class Post extends Model {
+  __meta = {
+    name: `post`,
+  };
+
+  tags = Fields.string({ array: true, maxItems: 3, unique: true });
+  scores = Fields.number({ array: true, required: true, min: 0 });
+}
+
+class Roster extends Model {
+  __meta = {
+    name: `roster`,
+  };
+
+  players = Fields.map(Secondary, { keyPattern: /^p\d+$/ });
+  scores = Fields.map(Fields.number({ min: 0 }));
+}
+
+class Click extends Model {
+  __meta = {
+    name: `click`,
+  };
+
+  x = Fields.number({ required: true });
+}
+
+class KeyPress extends Model {
+  __meta = {
+    name: `keypress`,
+  };
+
+  key = Fields.string({ required: true });
+}
+
+class Event extends Model {
+  __meta = {
+    name: `event`,
+  };
+
+  payload = Fields.oneOf([Click, KeyPress], { discriminator: `kind` });
+}
+
+class Timeouts extends Model {
+  __meta = {
+    name: `timeouts`,
+    validate: (instance) => {
+      if (instance.end_timeout <= instance.start_timeout) {
+        return [`end_timeout must exceed start_timeout.`];
+      }
+    },
+  };
+
+  start_timeout = Fields.number({ default: 1 });
+  end_timeout = Fields.number({ default: 5 });
+}
+
+class Ticket extends Model {
+  __meta = {
+    name: `ticket`,
+  };
+
+  id = Fields.string({ required: true, readonly: true });
+  assignee = Fields.string({ writeOnce: true });
+  title = Fields.string({ default: `untitled` });
+  labels = Fields.string({ array: true });
+}
+
+class Release extends Model {
+  __meta = {
+    name: `release`,
+  };
+
+  tags = Fields.string({ array: true, readonly: true });
+  checksums = Fields.number({ array: true, writeOnce: true });
+  assets = Fields.map(Fields.string(), { readonly: true });
+  build = Fields.model(Secondary, { readonly: true });
+  signature = Fields.model(Secondary, { writeOnce: true });
+  trigger = Fields.oneOf([Click, KeyPress], {
+    discriminator: `kind`,
+    readonly: true,
+  });
+}
+
+let sessionCount = 0;
+
+class Session extends Model {
+  __meta = {
+    name: `session`,
+  };
+
+  id = Fields.string({ default: () => `s${++sessionCount}` });
+  started = Fields.datetime({ default: () => new Date() });
+  tags = Fields.string({ array: true, default: () => [`new`] });
+  layout = Fields.string({ choices: [`a`, `b`], default: () => `a` });
+}
+
+class Contact extends Model {
+  __meta = {
+    name: `contact`,
+  };
+
+  name = Fields.string({ required: true });
+  nickname = Fields.string({ nullable: true });
+  phone = Fields.string({ nullable: true, validate: (v) => v.length > 3 });
+  manager = Fields.string();
+}
+
+class Address extends Model {
+  __meta = {
+    name: `address`,
+    strict: `strip`,
+  };
+
+  street = Fields.string();
+}
+
+class Phone extends Model {
+  __meta = {
+    name: `phone`,
+  };
+
+  number = Fields.string();
+}
+
+class Customer extends Model {
+  __meta = {
+    name: `customer`,
+    strict: `reject`,
+  };
+
+  name = Fields.string();
+  address = Fields.model(Address);
+  phone = Fields.model(Phone);
+}
+
+class Lead extends Model {
+  __meta = {
+    name: `lead`,
+    strict: `warn`,
+  };
+
+  name = Fields.string();
+}
+
+class Animal extends Model {
+  __meta = {
+    name: `animal`,
+    strict: `reject`,
+    form: [{ heading: `basics`, fields: [`name`, `legs`] }],
+  };
+
+  name = Fields.string({ required: true });
+  legs = Fields.number({ default: 4 });
+  kind = Fields.choice([`cat`, `dog`, `bird`]);
+}
+
+class Bird extends Animal {
+  __meta = {
+    name: `bird`,
+    form: [{ heading: `flight`, fields: [`wingspan`] }],
+  };
+
+  legs = Fields.number({ default: 2 });
+  kind = Fields.choice([`bird`], { default: `bird` });
+  wingspan = Fields.number();
+}
+
+const couponHooks = [];
+
+class Coupon extends Model {
+  __meta = {
+    name: `coupon`,
+  };
+
+  code = Fields.string({ required: true });
+  discount = Fields.number({ default: 10 });
+
+  beforeCreate() {
+    couponHooks.push(`beforeCreate`);
+    if (this.code === `expired`) return false;
+    if (!this.code) this.code = `WELCOME`;
+  }
+
+  afterCreate() {
+    couponHooks.push(`afterCreate`);
+  }
+}
+
+class Voucher extends Model {
+  __meta = {
+    name: `voucher`,
+  };
+
+  code = Fields.string({ required: true });
+
+  async beforeCreate() {
+    await Promise.resolve();
+    if (this.code === `expired`) return false;
+    this.code = this.code.toUpperCase();
+  }
+}
+
+class Wallet extends Model {
+  __meta = {
+    name: `wallet`,
+  };
+
+  vouchers = Fields.model(Voucher, { array: true });
+  byShop = Fields.map(Voucher);
+  featured = Fields.oneOf([Voucher, Coupon], { discriminator: `kind` });
+}
+
 describe(`Testing base model functionality`, () => {
   let user;
 
   beforeAll(() => {
     Models.register(User);
     Models.register(TestModel);
+    Models.register(Appointment);
+    Models.register(Server);
+    Models.register(Account);
+    Models.register(Post);
+    Models.register(Roster);
+    Models.register(Event);
+    Models.register(Timeouts);
+    Models.register(Ticket);
+    Models.register(Contact);
+    Models.register(Customer);
+    Models.register(Lead);
+    Models.register(Bird);
+    Models.register(Session);
+    Models.register(Coupon);
+    Models.register(Voucher);
   });
 
   beforeEach(() => {
@@ -219,4 +478,870 @@ describe(`Testing base model functionality`, () => {
     expect(instance.secondary.length).toBe(1);
     expect(instance.secondary[0].label).toBe(secondary.label);
   });
+
+  test(`Date fields store ISO strings as Date objects`, () => {
+    const appointment = Appointment.create({ day: `2021-05-01` });
+    expect(appointment.day).toBeInstanceOf(Date);
+    expect(appointment.day.toISOString()).toBe(`2021-05-01T00:00:00.000Z`);
+    expect(appointment.starts).toBeInstanceOf(Date);
+
+    appointment.starts = new Date(`2021-06-01T09:30:00.000Z`);
+    expect(JSON.parse(appointment.toString())).toStrictEqual({
+      day: `2021-05-01T00:00:00.000Z`,
+      starts: `2021-06-01T09:30:00.000Z`,
+    });
+  });
+
+  test(`Date fields round-trip through their JSON representation`, () => {
+    const appointment = Appointment.create({ day: new Date(`2021-05-01`) });
+    const copy = Appointment.create(JSON.parse(appointment.toString()));
+    expect(copy.day).toBeInstanceOf(Date);
+    expect(copy.day.getTime()).toBe(appointment.day.getTime());
+    expect(copy.toString()).toBe(appointment.toString());
+  });
+
+  test(`Date fields enforce their min/max bounds`, () => {
+    const appointment = Appointment.create();
+    expect(() => (appointment.day = `1999-12-31`)).toThrow(
+      `day could not be assigned value [1999-12-31].`
+    );
+    try {
+      appointment.day = `2100-01-01`;
+    } catch (e) {
+      expect(e.errors).toStrictEqual([
+        `day: value [2100-01-01T00:00:00.000Z] is after 2099-12-31.`,
+      ]);
+    }
+    expect(() => (appointment.day = `not a date`)).toThrow(
+      `day could not be assigned value [not a date].`
+    );
+  });
+
+  test(`Date fields reject non-date default values`, () => {
+    expect(() => Fields.date({ default: `tomorrow` })).toThrow(
+      `Cannot declare date field with default value [tomorrow], as it is not a Date or ISO-8601 string.`
+    );
+  });
+
+  test(`Number fields enforce integer and min/max constraints`, () => {
+    const server = Server.create({ port: `8080` });
+    expect(server.port).toBe(8080);
+
+    try {
+      server.port = 0;
+    } catch (e) {
+      expect(e.errors).toStrictEqual([`port: value [0] is less than 1.`]);
+    }
+
+    try {
+      server.port = 65536.5;
+    } catch (e) {
+      expect(e.errors).toStrictEqual([
+        `port: value [65536.5] is not an integer.`,
+        `port: value [65536.5] is greater than 65535.`,
+      ]);
+    }
+
+    expect(server.port).toBe(8080);
+  });
+
+  test(`Number fields enforce step sizes`, () => {
+    const server = Server.create();
+    expect(() => (server.load = 0.75)).not.toThrow();
+    try {
+      server.load = 0.3;
+    } catch (e) {
+      expect(e.errors).toStrictEqual([
+        `load: value [0.3] is not a valid step of 0.25.`,
+      ]);
+    }
+    expect(server.load).toBe(0.75);
+  });
+
+  test(`String fields are normalized before validation`, () => {
+    const account = Account.create({ handle: `  Test_User ` });
+    expect(account.handle).toBe(`test_user`);
+  });
+
+  test(`String fields enforce length and pattern constraints`, () => {
+    const account = Account.create({ handle: `tester` });
+
+    try {
+      account.handle = `ab`;
+    } catch (e) {
+      expect(e.errors).toStrictEqual([
+        `handle: value [ab] is shorter than 3 characters.`,
+      ]);
+    }
+
+    try {
+      account.handle = `not a valid handle at all`;
+    } catch (e) {
+      expect(e.errors).toStrictEqual([
+        `handle: value [not a valid handle at all] is longer than 16 characters.`,
+        `handle: value [not a valid handle at all] does not match pattern /^[a-z0-9_]+$/.`,
+      ]);
+    }
+
+    expect(account.handle).toBe(`tester`);
+  });
+
+  test(`String patterns are stored as plain data in the schema`, () => {
+    const { pattern } = Account.schema.handle.__meta;
+    expect(pattern).toStrictEqual({ source: `^[a-z0-9_]+$`, flags: `` });
+    expect(JSON.parse(JSON.stringify(pattern))).toStrictEqual(pattern);
+  });
+
+  test(`Primitive arrays validate elements on push, splice and index assignment`, () => {
+    const post = Post.create({ scores: [1, `2`] });
+    expect(post.scores).toStrictEqual([1, 2]);
+
+    post.scores.push(`3`);
+    post.scores.splice(0, 1, 4);
+    post.scores[3] = `5`;
+    expect(post.scores).toStrictEqual([4, 2, 3, 5]);
+
+    expect(() => post.scores.push(`x`)).toThrow(
+      `Assignment violates property schema.`
+    );
+    expect(() => post.scores.splice(0, 1, -1)).toThrow(
+      `Assignment violates property schema.`
+    );
+    expect(() => (post.scores[0] = -1)).toThrow(
+      `Assignment violates property schema.`
+    );
+    expect(post.scores).toStrictEqual([4, 2, 3, 5]);
+    expect(post.valueOf().scores).toStrictEqual([4, 2, 3, 5]);
+  });
+
+  test(`Primitive arrays enforce maxItems and unique`, () => {
+    const post = Post.create({ scores: [1] });
+    post.tags.push(`a`, `b`);
+
+    try {
+      post.tags.push(`a`);
+    } catch (e) {
+      expect(e.errors).toStrictEqual([
+        `tags: values must be unique, but [a] is repeated.`,
+      ]);
+    }
+
+    try {
+      post.tags.push(`c`, `d`);
+    } catch (e) {
+      expect(e.errors).toStrictEqual([`tags: must have at most 3 items.`]);
+    }
+
+    expect(post.tags).toStrictEqual([`a`, `b`]);
+  });
+
+  test(`Primitive arrays check the whole list on assignment`, () => {
+    const post = Post.create({ scores: [1], tags: [`a`, `b`] });
+    expect(() => (post.tags = [`a`, `b`, `a`])).toThrow(
+      `tags could not be assigned value [a,b,a].`
+    );
+    expect(() => (post.tags = [`a`, `b`, `c`, `d`])).toThrow(
+      `tags could not be assigned value [a,b,c,d].`
+    );
+    expect(post.tags).toStrictEqual([`a`, `b`]);
+  });
+
+  test(`Primitive arrays stay validated after sort, reverse and delete`, () => {
+    const post = Post.create({ scores: [1], tags: [`b`, `a`] });
+    expect(post.tags.sort()).toBe(post.tags);
+    expect(post.tags.reverse()).toBe(post.tags);
+    expect(() => post.tags.sort().push(`c`, `d`)).toThrow(
+      `Assignment violates property schema.`
+    );
+    expect(() => delete post.tags[0]).toThrow(
+      `Assignment violates property schema.`
+    );
+    expect(post.tags).toStrictEqual([`a`, `b`]);
+    expect(JSON.parse(post.toString()).tags).toStrictEqual([`a`, `b`]);
+  });
+
+  test(`Required primitive arrays must be non-empty`, () => {
+    expect(() => Post.create({})).toThrow(
+      `Cannot create Post: missing required fields (without schema-defined default).`
+    );
+    expect(() => Post.create({ scores: [] })).toThrow();
+
+    const post = Post.create({ scores: [1] });
+    expect(() => (post.scores = [])).toThrow(
+      `scores could not be assigned value [].`
+    );
+    expect(() => post.scores.pop()).toThrow(
+      `Assignment violates property schema.`
+    );
+    expect(JSON.parse(post.toString())).toStrictEqual({ scores: [1] });
+  });
+
+  test(`Submodel arrays validate and wrap elements on every mutating path`, () => {
+    const instance = TestModel.create();
+    const { secondary } = instance;
+
+    secondary.push({ label: `a` });
+    secondary.unshift(Secondary.create({ label: `b` }));
+    secondary.splice(1, 0, { label: `c` });
+    secondary[3] = { label: `d` };
+    expect(secondary.every((e) => e instanceof Secondary)).toBe(true);
+    expect(secondary.map((e) => e.label)).toStrictEqual([`b`, `c`, `a`, `d`]);
+
+    expect(() => secondary.push({ label: [`e`] })).toThrow();
+    expect(() => secondary.fill({ label: [`f`] })).toThrow();
+    expect(() => (secondary.length = 10)).toThrow(
+      `Assignment violates property schema.`
+    );
+    expect(() => (secondary[10] = { label: `g` })).toThrow(
+      `Assignment violates property schema.`
+    );
+    expect(secondary.length).toBe(4);
+
+    secondary.length = 2;
+    expect(secondary.valueOf()).toStrictEqual([{ label: `b` }, { label: `c` }]);
+    expect(JSON.parse(secondary.toString())).toStrictEqual([
+      { label: `b` },
+      { label: `c` },
+    ]);
+    expect(instance.valueOf().secondary).toStrictEqual([
+      { label: `b` },
+      { label: `c` },
+    ]);
+  });
+
+  test(`Map fields validate keys and values on assignment`, () => {
+    const roster = Roster.create({
+      players: { p1: { label: `alice` } },
+      scores: { p1: `3` },
+    });
+    expect(roster.players.p1).toBeInstanceOf(Secondary);
+    expect(roster.scores.p1).toBe(3);
+
+    roster.players.p2 = { label: `bob` };
+    roster.scores.p2 = 5;
+    expect(roster.players.p2).toBeInstanceOf(Secondary);
+
+    try {
+      roster.players.bob = { label: `bob` };
+    } catch (e) {
+      expect(e.errors).toStrictEqual([
+        `players: key [bob] does not match pattern /^p\\d+$/.`,
+      ]);
+    }
+
+    try {
+      roster.scores.p3 = -1;
+    } catch (e) {
+      expect(e.errors).toStrictEqual([`scores: value [-1] is less than 0.`]);
+    }
+
+    expect(() => (roster.scores = [1, 2])).toThrow(
+      `scores could not be assigned value [1,2].`
+    );
+
+    delete roster.scores.p1;
+    expect(Object.keys(roster.scores)).toStrictEqual([`p2`]);
+  });
+
+  test(`Map fields serialize like plain objects`, () => {
+    const roster = Roster.create({ players: { p1: { label: `alice` } } });
+    expect(Object.keys(roster)).toStrictEqual([`players`]);
+    expect(roster.valueOf()).toStrictEqual({
+      players: { p1: { label: `alice` } },
+      scores: {},
+    });
+    expect(JSON.parse(roster.toString())).toStrictEqual({
+      players: { p1: { label: `alice` } },
+    });
+    expect(JSON.parse(roster.players.toString())).toStrictEqual({
+      p1: { label: `alice` },
+    });
+  });
+
+  test(`Union fields pick the model based on the discriminator`, () => {
+    const event = Event.create({ payload: { kind: `click`, x: `3` } });
+    expect(event.payload).toBeInstanceOf(Click);
+    expect(event.payload.x).toBe(3);
+
+    event.payload = { kind: `keypress`, key: `a` };
+    expect(event.payload).toBeInstanceOf(KeyPress);
+    expect(JSON.parse(event.toString())).toStrictEqual({
+      payload: { kind: `keypress`, key: `a` },
+    });
+
+    event.payload = Click.create({ x: 1 });
+    expect(event.valueOf()).toStrictEqual({ payload: { kind: `click`, x: 1 } });
+
+    try {
+      event.payload = { kind: `scroll` };
+    } catch (e) {
+      expect(e.errors).toStrictEqual([
+        `payload: kind [scroll] is not one of [click,keypress].`,
+      ]);
+    }
+
+    expect(() => (event.payload = { kind: `click` })).toThrow(
+      `payload could not be assigned value [[object Object]].`
+    );
+    expect(event.payload.x).toBe(1);
+  });
+
+  test(`Model-level validation runs on create and updateFromSubmission`, () => {
+    expect(Timeouts.create({ end_timeout: 10 }).end_timeout).toBe(10);
+
+    try {
+      Timeouts.create({ start_timeout: 10 });
+      throw new Error(`create should have failed`);
+    } catch (err) {
+      expect(err.message).toBe(
+        `Timeouts instance did not pass model validation.`
+      );
+      expect(err.errors).toStrictEqual([
+        `end_timeout must exceed start_timeout.`,
+      ]);
+    }
+
+    // incomplete instances defer model validation
+    expect(() =>
+      Timeouts.create({ start_timeout: 10 }, Timeouts.ALLOW_INCOMPLETE)
+    ).not.toThrow();
+
+    const timeouts = Timeouts.create();
+    expect(() => timeouts.updateFromSubmission({ start_timeout: `7` })).toThrow(
+      `Timeouts instance did not pass model validation.`
+    );
+    expect(timeouts.start_timeout).toBe(1);
+
+    timeouts.updateFromSubmission({ start_timeout: `2`, end_timeout: `8` });
+    expect(timeouts.start_timeout).toBe(2);
+    expect(timeouts.end_timeout).toBe(8);
+  });
+
+  test(`Async model-level validation only runs on validate`, async () => {
+    const checked = [];
+
+    class Reservation extends Model {
+      __meta = {
+        name: `reservation`,
+        validate: async (instance) => {
+          checked.push(instance.room);
+          return instance.room !== `closed`;
+        },
+      };
+      room = Fields.string();
+    }
+
+    const reservation = Reservation.create({ room: `closed` });
+    reservation.update({ room: `lobby` });
+    reservation.updateFromSubmission({ room: `closed` });
+    expect(checked).toStrictEqual([]);
+
+    await expect(reservation.validate()).rejects.toThrow(
+      `Reservation instance did not pass model validation.`
+    );
+    expect(checked).toStrictEqual([`closed`]);
+  });
+
+  test(`Change handlers see keypath-scoped old and new values`, () => {
+    const all = [];
+    const layout = [];
+    user.on(`change`, (changes) => all.push(changes));
+    user.on(`change:profile.preferences.layout`, (changes) =>
+      layout.push(changes)
+    );
+
+    user.admin = true;
+    user.profile.preferences.layout = `stacked`;
+    user.profile.preferences.layout = `stacked`; // not a change
+    expect(all).toStrictEqual([
+      [{ keypath: `admin`, oldValue: false, newValue: true }],
+      [
+        {
+          keypath: `profile.preferences.layout`,
+          oldValue: `traditional`,
+          newValue: `stacked`,
+        },
+      ],
+    ]);
+    expect(layout.length).toBe(1);
+
+    // bulk updates are reported as a single batch
+    all.length = 0;
+    user.updateFromSubmission({
+      "profile.name": `renamed`,
+      "profile.password": `test`,
+      "profile.preferences.layout": `traditional`,
+    });
+    expect(all.length).toBe(1);
+    expect(all[0].map((c) => c.keypath)).toStrictEqual([
+      `profile.name`,
+      `profile.preferences.layout`,
+    ]);
+    expect(layout.length).toBe(2);
+
+    // collections report plain copies of their content
+    const post = Post.create({ scores: [1] });
+    const changes = [];
+    post.on(`change:scores`, (c) => changes.push(...c));
+    post.scores.push(2);
+    expect(changes).toStrictEqual([
+      { keypath: `scores`, oldValue: [1], newValue: [1, 2] },
+    ]);
+
+    user.off(`change`);
+    user.admin = false;
+    expect(all.length).toBe(1);
+    expect(() => user.on(`update`, () => {})).toThrow(
+      `Unknown event [update] for model User, use "change" or "change:keypath".`
+    );
+  });
+
+  test(`Updates are validated as a whole and applied atomically`, () => {
+    user.update({ admin: true, "profile.preferences.layout": `stacked` });
+    expect(user.admin).toBe(true);
+    expect(user.profile.preferences.layout).toBe(`stacked`);
+
+    try {
+      user.update({ admin: false, profile: { preferences: { layout: `x` } } });
+      throw new Error(`update should have failed`);
+    } catch (err) {
+      expect(err.message).toBe(
+        `Update data did not pass validation for User schema.`
+      );
+      expect(err.errors.length).toBe(1);
+    }
+    expect(user.admin).toBe(true);
+
+    // failing model validation rolls back everything that was assigned.
+    const timeouts = Timeouts.create();
+    expect(() => timeouts.update({ start_timeout: 3, end_timeout: 2 })).toThrow(
+      `Timeouts instance did not pass model validation.`
+    );
+    expect(timeouts.start_timeout).toBe(1);
+    expect(timeouts.end_timeout).toBe(5);
+    expect(timeouts.toString()).toBe(`{}`);
+  });
+
+  test(`Transactions restore the previous state when they throw`, () => {
+    const changes = [];
+    user.on(`change`, (c) => changes.push(c));
+
+    expect(() =>
+      user.transaction((user) => {
+        user.admin = true;
+        user.profile.name = `renamed`;
+        user.profile.preferences.avatar = `not a png`;
+      })
+    ).toThrow(`avatar could not be assigned value [not a png].`);
+    expect(user.admin).toBe(false);
+    expect(user.profile.name).toBe(`test`);
+    expect(changes).toStrictEqual([]);
+
+    const result = user.transaction((user) => {
+      user.admin = true;
+      user.profile.name = `renamed`;
+      return `done`;
+    });
+    expect(result).toBe(`done`);
+    expect(user.profile.name).toBe(`renamed`);
+    expect(changes.length).toBe(1);
+    expect(changes[0].length).toBe(2);
+  });
+
+  test(`Dirty tracking reports and reverts changes since creation`, () => {
+    expect(user.isDirty()).toBe(false);
+    expect(user.getChanges()).toStrictEqual([]);
+
+    user.admin = true;
+    user.profile.name = `renamed`;
+    expect(user.isDirty()).toBe(true);
+    const changes = user.getChanges();
+    expect(changes.map(({ type, key }) => [type, key])).toStrictEqual([
+      [`update`, `profile.name`],
+      [`add`, `admin`],
+    ]);
+    expect(changes[0].oldValue).toBe(`test`);
+    expect(changes[0].newValue).toBe(`renamed`);
+
+    user.revert();
+    expect(user.isDirty()).toBe(false);
+    expect(user.admin).toBe(false);
+    expect(user.profile.name).toBe(`test`);
+  });
+
+  test(`Model history supports grouped undo and redo`, () => {
+    User.withHistory(user, { limit: 2 });
+    expect(user.canUndo).toBe(false);
+
+    user.admin = true;
+    user.update({ "profile.name": `renamed`, "profile.password": `secret` });
+    expect(user.canUndo).toBe(true);
+
+    expect(user.undo()).toBe(true);
+    expect(user.profile.name).toBe(`test`);
+    expect(user.profile.password).toBe(`test`);
+    expect(user.admin).toBe(true);
+    expect(user.canRedo).toBe(true);
+
+    expect(user.redo()).toBe(true);
+    expect(user.profile.name).toBe(`renamed`);
+    expect(user.canRedo).toBe(false);
+
+    // the limit applies: only two steps are kept
+    user.profile.preferences.layout = `stacked`;
+    expect(user.undo()).toBe(true);
+    expect(user.undo()).toBe(true);
+    expect(user.undo()).toBe(false);
+    expect(user.admin).toBe(true);
+    expect(user.profile.name).toBe(`test`);
+    expect(user.profile.preferences.layout).toBe(`traditional`);
+
+    // new changes clear the redo stack
+    user.admin = false;
+    expect(user.canRedo).toBe(false);
+
+    const post = Post.create({ scores: [1] });
+    expect(post.canUndo).toBe(false);
+    expect(post.undo()).toBe(false);
+  });
+
+  test(`Reset fields keep their constraints and falsy defaults`, () => {
+    class Gauge extends Model {
+      __meta = {
+        name: `gauge`,
+      };
+      reading = Fields.number({ min: 0 });
+      offset = Fields.number({ default: 0 });
+      enabled = Fields.boolean({ default: false });
+    }
+
+    const gauge = Gauge.create({ reading: 5, offset: 2, enabled: true });
+    gauge.reset();
+    expect(gauge.reading).toBe(undefined);
+    expect(gauge.offset).toBe(0);
+    expect(gauge.enabled).toBe(false);
+    expect(() => (gauge.reading = -1)).toThrow(
+      `reading could not be assigned value [-1].`
+    );
+    gauge.reading = 1;
+    expect(gauge.reading).toBe(1);
+  });
+
+  test(`Removing all change handlers does not stop history recording`, () => {
+    User.withHistory(user);
+    const changes = [];
+    user.on(`change`, (list) => changes.push(list));
+    user.off(`change`);
+
+    user.admin = true;
+    expect(changes).toStrictEqual([]);
+    expect(user.canUndo).toBe(true);
+    expect(user.undo()).toBe(true);
+    expect(user.admin).toBe(false);
+  });
+
+  test(`Readonly and writeOnce fields are protected after assignment`, () => {
+    const ticket = Ticket.create({ id: `T-1` });
+    expect(() => (ticket.id = `T-2`)).toThrow(
+      `id cannot be changed, as it is read-only.`
+    );
+    ticket.id = `T-1`; // assigning the same value is not a change
+
+    ticket.assignee = `alice`;
+    expect(() => (ticket.assignee = `bob`)).toThrow(
+      `assignee cannot be changed, as it can only be assigned once.`
+    );
+
+    expect(() =>
+      ticket.updateFromSubmission({ id: `T-3`, title: `changed` })
+    ).toThrow(`id cannot be changed, as it is read-only.`);
+    expect(ticket.title).toBe(`untitled`);
+
+    // rollbacks may undo a first assignment
+    const fresh = Ticket.create({ id: `T-4` });
+    expect(() =>
+      fresh.transaction(() => {
+        fresh.assignee = `carol`;
+        throw new Error(`abort`);
+      })
+    ).toThrow(`abort`);
+    expect(fresh.assignee).toBe(undefined);
+    fresh.assignee = `dave`;
+    expect(fresh.assignee).toBe(`dave`);
+  });
+
+  test(`Readonly and writeOnce apply to arrays, maps, submodels and unions`, () => {
+    const release = Release.create({
+      tags: [`stable`],
+      assets: { linux: `app.tar.gz` },
+      build: { label: `ci` },
+      trigger: { kind: `click`, x: 1 },
+    });
+    const readOnly = (key) => `${key} cannot be changed, as it is read-only.`;
+
+    expect(() => release.tags.push(`beta`)).toThrow(readOnly(`tags`));
+    expect(() => (release.tags = [`beta`])).toThrow(readOnly(`tags`));
+    expect(() => (release.assets.mac = `app.dmg`)).toThrow(readOnly(`assets`));
+    expect(() => (release.build = { label: `local` })).toThrow(
+      readOnly(`build`)
+    );
+    expect(() => (release.build.label = `local`)).toThrow(readOnly(`label`));
+    expect(() => (release.trigger = { kind: `keypress`, key: `a` })).toThrow(
+      readOnly(`trigger`)
+    );
+    expect(() => (release.trigger.x = 5)).toThrow(readOnly(`x`));
+    expect(() => release.update({ tags: [`beta`] })).toThrow(readOnly(`tags`));
+
+    // assigning the same content is not a change
+    release.update(release.valueOf());
+    expect(release.tags).toStrictEqual([`stable`]);
+    expect(release.build.label).toBe(`ci`);
+
+    release.checksums = [1, 2];
+    expect(() => (release.checksums = [3])).toThrow(
+      `checksums cannot be changed, as it can only be assigned once.`
+    );
+    expect(() => release.checksums.push(3)).toThrow(
+      `checksums cannot be changed, as it can only be assigned once.`
+    );
+    release.signature = { label: `signed` };
+    expect(() => (release.signature = { label: `resigned` })).toThrow(
+      `signature cannot be changed, as it can only be assigned once.`
+    );
+    expect(release.valueOf().checksums).toStrictEqual([1, 2]);
+    expect(release.signature.label).toBe(`signed`);
+  });
+
+  test(`Frozen models and their submodels cannot be changed`, () => {
+    const ticket = Model.freeze(Ticket.create({ id: `T-1`, labels: [`a`] }));
+    expect(Model.isFrozen(ticket)).toBe(true);
+    expect(() => (ticket.title = `changed`)).toThrow(
+      `title cannot be changed, as it belongs to a frozen model.`
+    );
+    expect(() => ticket.labels.push(`b`)).toThrow(
+      `labels cannot be changed, as it belongs to a frozen model.`
+    );
+    expect(ticket.labels).toStrictEqual([`a`]);
+
+    User.freeze(user);
+    expect(() => (user.profile.preferences.layout = `stacked`)).toThrow(
+      `layout cannot be changed, as it belongs to a frozen model.`
+    );
+    expect(() => (user.profile = { name: `x`, password: `y` })).toThrow(
+      `profile cannot be changed, as it belongs to a frozen model.`
+    );
+  });
+
+  test(`Default factories generate values per instance`, () => {
+    const first = Session.create();
+    const second = Session.create();
+    expect(first.id).not.toBe(second.id);
+    expect(first.started).toBeInstanceOf(Date);
+    expect(first.tags).toStrictEqual([`new`]);
+    first.tags.push(`more`);
+    expect(second.tags).toStrictEqual([`new`]);
+
+    // generated values are data, not defaults
+    const data = JSON.parse(second.toString());
+    expect(data.id).toBe(second.id);
+    expect(data.tags).toStrictEqual([`new`]);
+    expect(data.layout).toBe(`a`);
+
+    // factories don't run for values that are part of the initial data
+    const count = sessionCount;
+    const loaded = Session.create(data);
+    expect(sessionCount).toBe(count);
+    expect(loaded.id).toBe(second.id);
+    expect(loaded.started.getTime()).toBe(second.started.getTime());
+
+    loaded.reset();
+    expect(loaded.id).toBe(`s${count + 1}`);
+
+    expect(typeof Session.schema.id.default).toBe(`function`);
+  });
+
+  test(`Union fields require a model list and a discriminator`, () => {
+    expect(() => Fields.oneOf([])).toThrow(
+      `Missing model array for oneOf field.`
+    );
+    expect(() => Fields.oneOf([Click, KeyPress])).toThrow(
+      `Missing discriminator for oneOf field.`
+    );
+  });
+
+  test(`Nullable fields accept null, distinct from unset values`, () => {
+    const contact = Contact.create({ name: `Alice`, nickname: null });
+    expect(contact.nickname).toBe(null);
+    expect(contact.phone).toBe(undefined);
+    expect(contact.valueOf()).toStrictEqual({
+      name: `Alice`,
+      nickname: null,
+      phone: undefined,
+      manager: undefined,
+    });
+    expect(JSON.parse(contact.toString())).toStrictEqual({
+      name: `Alice`,
+      nickname: null,
+    });
+
+    // custom validation only applies to actual values
+    contact.phone = null;
+    expect(() => (contact.phone = `12`)).toThrow();
+    expect(() => (contact.manager = null)).toThrow(
+      `manager could not be assigned value [null].`
+    );
+
+    contact.nickname = `Al`;
+    contact.nickname = null;
+    expect(JSON.parse(contact.toString()).nickname).toBe(null);
+    contact.nickname = undefined;
+    expect(JSON.parse(contact.toString()).nickname).toBe(undefined);
+  });
+
+  test(`Model and union fields cannot be nullable`, () => {
+    expect(() => Fields.model(Secondary, { nullable: true })).toThrow(
+      `Model and oneOf fields cannot be nullable.`
+    );
+    expect(() =>
+      Fields.oneOf([Click, KeyPress], { discriminator: `kind`, nullable: true })
+    ).toThrow(`Model and oneOf fields cannot be nullable.`);
+  });
+
+  test(`Strict models reject, strip, or warn about unknown properties`, () => {
+    expect(() => Customer.create({ name: `Bob`, nmae: `Bob` })).toThrow(
+      `Customer data contains properties that are not in its schema: [nmae].`
+    );
+    // submodels without a policy of their own use their parent's policy
+    expect(() =>
+      Customer.create({ name: `Bob`, phone: { number: `123`, extn: `4` } })
+    ).toThrow(`[phone.extn]`);
+
+    const customer = Customer.create({
+      name: `Bob`,
+      address: { street: `Main St`, zip: `12345` },
+    });
+    expect(JSON.parse(customer.toString())).toStrictEqual({
+      name: `Bob`,
+      address: { street: `Main St` },
+      phone: {},
+    });
+
+    customer.address = { street: `High St`, zip: `54321` };
+    expect(customer.address.zip).toBe(undefined);
+    expect(() => (customer.phone = { number: `1`, extn: `2` })).toThrow(
+      `[phone.extn]`
+    );
+    expect(() => customer.update({ nmae: `Robert` })).toThrow(`[nmae]`);
+    expect(() =>
+      customer.updateFromSubmission({ name: `Robert`, "phone.extn": `2` })
+    ).toThrow(`[phone.extn]`);
+    expect(customer.name).toBe(`Bob`);
+
+    const { warn } = console;
+    const warnings = [];
+    console.warn = (msg) => warnings.push(msg);
+    try {
+      const lead = Lead.create({ name: `Carol`, emial: `carol@example.com` });
+      expect(JSON.parse(lead.toString())).toStrictEqual({ name: `Carol` });
+      expect(warnings).toStrictEqual([
+        `Ignoring Lead data properties that are not in its schema: [emial].`,
+      ]);
+    } finally {
+      console.warn = warn;
+    }
+  });
+
+  test(`Model subclasses inherit and override fields and metadata`, () => {
+    const bird = Bird.create({ name: `Tweety`, wingspan: 20 });
+    expect(bird).toBeInstanceOf(Bird);
+    expect(bird).toBeInstanceOf(Animal);
+    expect(bird.legs).toBe(2);
+    expect(bird.kind).toBe(`bird`);
+    expect(JSON.parse(bird.toString())).toStrictEqual({
+      name: `Tweety`,
+      wingspan: 20,
+    });
+
+    const { __meta } = Bird.schema;
+    expect(__meta.name).toBe(`bird`);
+    expect(__meta.extends).toBe(`Animal`);
+    expect(__meta.form.map((section) => section.heading)).toStrictEqual([
+      `basics`,
+      `flight`,
+    ]);
+    expect(() => Bird.create({ name: `Polly`, color: `green` })).toThrow(
+      `Bird data contains properties that are not in its schema: [color].`
+    );
+    expect(() => Bird.create({ name: `Polly`, kind: `cat` })).toThrow();
+
+    // the parent model is unaffected
+    expect(Animal.schema.wingspan).toBe(undefined);
+    expect(Animal.create({ name: `Rex` }).legs).toBe(4);
+
+    class Snake extends Animal {
+      __meta = { name: `snake` };
+      legs = Fields.string();
+    }
+    expect(() => Snake.create({ name: `Kaa` })).toThrow(
+      `Snake cannot override Animal's legs field with a different kind of field.`
+    );
+
+    class Dragon extends Animal {
+      __meta = { name: `dragon` };
+      kind = Fields.choice([`dragon`]);
+    }
+    expect(() => Dragon.create({ name: `Smaug` })).toThrow(
+      `Dragon cannot override Animal's kind field with a different kind of field.`
+    );
+  });
+
+  test(`Lifecycle hooks run when models are created`, async () => {
+    const coupon = Coupon.create();
+    expect(coupon.code).toBe(`WELCOME`);
+    expect(coupon.isDirty()).toBe(false);
+    expect(couponHooks).toStrictEqual([`beforeCreate`, `afterCreate`]);
+
+    expect(() => Coupon.create({ code: `expired` })).toThrow(
+      `Coupon.beforeCreate() vetoed the operation.`
+    );
+    expect(couponHooks.length).toBe(3);
+
+    // async hooks make creation async
+    const pending = Voucher.create({ code: `spring` });
+    expect(pending).toBeInstanceOf(Promise);
+    const voucher = await pending;
+    expect(voucher).toBeInstanceOf(Voucher);
+    expect(voucher.code).toBe(`SPRING`);
+    await expect(Voucher.create({ code: `expired` })).rejects.toThrow(
+      `Voucher.beforeCreate() vetoed the operation.`
+    );
+
+    // restoring history does not count as creating
+    const tracked = Model.withHistory(Coupon.create({ code: `SUMMER` }));
+    tracked.discount = 20;
+    tracked.undo();
+    expect(tracked.discount).toBe(10);
+    expect(couponHooks.length).toBe(5);
+  });
+
+  test(`Submodels in arrays, maps and unions do not run lifecycle hooks`, () => {
+    const wallet = Wallet.create({
+      vouchers: [{ code: `spring` }],
+      byShop: { bakery: { code: `bread` } },
+      featured: { kind: `voucher`, code: `summer` },
+    });
+    expect(wallet).toBeInstanceOf(Wallet);
+    expect(wallet.vouchers[0]).toBeInstanceOf(Voucher);
+    expect(wallet.vouchers[0].code).toBe(`spring`);
+    expect(wallet.byShop.bakery).toBeInstanceOf(Voucher);
+    expect(wallet.featured).toBeInstanceOf(Voucher);
+
+    wallet.vouchers.push({ code: `autumn` });
+    wallet.byShop.butcher = { code: `meat` };
+    wallet.featured = { kind: `coupon`, code: `winter` };
+    expect(wallet.vouchers[1]).toBeInstanceOf(Voucher);
+    expect(wallet.byShop.butcher).toBeInstanceOf(Voucher);
+    expect(wallet.featured).toBeInstanceOf(Coupon);
+    expect(wallet.featured.code).toBe(`winter`);
+  });
 });
@@ -1,10 +1,173 @@
 import fs from "fs";
 import path from "path";
-import { Errors, Models } from "use-models-for-data";
+import { Errors, Fields, Model, Models } from "use-models-for-data";
 import { User } from "./user.model.js";
 import { registry } from "../../lib/models/model-registry.js";
 
-const { RecordAccessError } = Errors;
+const {
+  InvalidRecordName,
+  MissingSubclassName,
+  OperationVetoed,
+  RecordAccessError,
+  ReadOnlyAssignment,
+  RecordAlreadyExists,
+} = Errors;
+
+class Note extends Model {
+  __meta = {
+    name: `notes`,
+    distinct: true,
+    recordName: `title`,
+  };
+  title = Fields.string({ required: true });
+  author = Fields.reference(User);
+}
+
+class Shelf extends Model {
+  __meta = {
+    name: `shelves`,
+    distinct: true,
+    recordName: `label`,
+  };
+  label = Fields.string({ required: true });
+  readers = Fields.reference(User, { array: true });
+}
+
+class Team extends Model {
+  __meta = {
+    name: `teams`,
+    distinct: true,
+    recordName: `label`,
+  };
+  label = Fields.string({ required: true });
+  roles = Fields.map(Fields.reference(User));
+}
+
+class Booking extends Model {
+  __meta = {
+    name: `bookings`,
+    distinct: true,
+    recordName: `room`,
+    validate: async (instance) => {
+      if (instance.room === `closed`) throw new Error(`room is closed.`);
+    },
+  };
+  room = Fields.string({ required: true });
+  code = Fields.string({ default: () => `B${Date.now()}` });
+  guests = Fields.string({
+    array: true,
+    validateAsync: async (name) => name !== `banned`,
+  });
+}
+
+class Memo extends Model {
+  __meta = {
+    name: `memos`,
+    distinct: true,
+    recordName: `ulid`,
+  };
+  text = Fields.string();
+}
+
+class Pin extends Model {
+  __meta = {
+    name: `pins`,
+    distinct: true,
+    recordName: `label`,
+  };
+  label = Fields.string({ required: true });
+  memo = Fields.reference(Memo);
+  related = Fields.reference(Memo, { array: true });
+}
+
+class Page extends Model {
+  __meta = {
+    name: `pages`,
+    distinct: true,
+    recordName: `{tenant}/{slug}`,
+  };
+  tenant = Fields.string();
+  slug = Fields.string();
+  text = Fields.string();
+}
+
+class Setting extends Model {
+  __meta = {
+    name: `settings`,
+    distinct: true,
+    recordName: `key`,
+    strict: `reject`,
+  };
+  key = Fields.string();
+  value = Fields.string();
+}
+
+class Vehicle extends Model {
+  __meta = {
+    name: `vehicles`,
+    distinct: true,
+    recordName: `plate`,
+  };
+  plate = Fields.string({ required: true });
+  wheels = Fields.number({ default: 4 });
+}
+
+class Truck extends Vehicle {
+  __meta = {
+    name: `trucks`,
+  };
+  wheels = Fields.number({ default: 6 });
+  payload = Fields.number();
+}
+
+class Article extends Model {
+  __meta = {
+    name: `articles`,
+    distinct: true,
+    recordName: `slug`,
+    timestamps: true,
+  };
+  slug = Fields.string({ required: true });
+  body = Fields.string();
+}
+
+const diaryHooks = [];
+
+class Diary extends Model {
+  __meta = {
+    name: `diaries`,
+    distinct: true,
+    recordName: `title`,
+  };
+  title = Fields.string({ required: true });
+  secret = Fields.string();
+  revision = Fields.number({ default: 0 });
+  locked = Fields.boolean({ default: false });
+
+  async beforeSave() {
+    diaryHooks.push(`beforeSave`);
+    if (this.title === `draft`) return false;
+    this.revision++;
+  }
+
+  async afterSave() {
+    diaryHooks.push(`afterSave`);
+  }
+
+  async afterLoad() {
+    diaryHooks.push(`afterLoad`);
+    this.secret = Buffer.from(this.secret, `base64`).toString();
+  }
+
+  async beforeDelete() {
+    diaryHooks.push(`beforeDelete`);
+    return !this.locked;
+  }
+
+  afterDelete() {
+    diaryHooks.push(`afterDelete`);
+  }
+}
 
 const moduleURL = new URL(import.meta.url);
 const moduleDir = path.dirname(
@@ -124,6 +287,35 @@ describe(`Testing User model with store backing`, () => {
     expect(user.profile.preferences.config.allow_chat).toBe(val);
   });
 
+  test(`Saving an unchanged loaded model skips the store write`, async () => {
+    const { store } = Models;
+    const saveRecord = store.saveRecord;
+    let writes = 0;
+    store.saveRecord = async (...args) => {
+      writes++;
+      return saveRecord.apply(store, args);
+    };
+
+    try {
+      const loaded = await User.load(`TestUser`);
+      expect(loaded.isDirty()).toBe(false);
+      await loaded.save();
+      expect(writes).toBe(0);
+
+      loaded.admin = !loaded.admin;
+      expect(loaded.isDirty()).toBe(true);
+      await loaded.save();
+      expect(writes).toBe(1);
+      expect(loaded.isDirty()).toBe(false);
+
+      loaded.admin = !loaded.admin;
+      await loaded.save();
+      expect(writes).toBe(2);
+    } finally {
+      store.saveRecord = saveRecord;
+    }
+  });
+
   test(`Model resetting works as expected`, () => {
     const { name, password } = user.profile;
     user.profile.preferences.config.end_of_hand_timeout = 0;
@@ -187,6 +379,373 @@ describe(`Testing User model with store backing`, () => {
     }
   });
 
+  test(`Reference fields store record names and resolve to instances`, async () => {
+    await Models.register(Note);
+
+    const note = Note.create({ title: `hello`, author: user });
+    expect(note.author).toBe(`TestUser`);
+    expect(JSON.parse(note.toString())).toStrictEqual({
+      author: `TestUser`,
+      title: `hello`,
+    });
+
+    await note.save();
+    const loaded = await Note.load(`hello`);
+    const author = await loaded.resolve(`author`);
+    expect(author).toBeInstanceOf(User);
+    expect(author.profile.name).toBe(`TestUser`);
+
+    await expect(loaded.resolve(`title`)).rejects.toThrow(
+      `Property [title] is not a reference field for model Note.`
+    );
+
+    loaded.author = `NobodyInParticular`;
+    await expect(loaded.save()).rejects.toThrow(
+      `Property [author] references User record [NobodyInParticular], which does not exist.`
+    );
+  });
+
+  test(`Reference array fields store and resolve lists of records`, async () => {
+    await Models.register(Shelf);
+
+    const shelf = Shelf.create({ label: `fiction`, readers: [user] });
+    shelf.readers.push(user);
+    expect(shelf.readers).toEqual([`TestUser`, `TestUser`]);
+    expect(() => shelf.readers.push({ name: `x` })).toThrow();
+
+    await shelf.save();
+    expect(
+      JSON.parse(fs.readFileSync(`${storePath}/shelves/fiction.json`))
+    ).toStrictEqual({ label: `fiction`, readers: [`TestUser`, `TestUser`] });
+
+    const loaded = await Shelf.load(`fiction`);
+    expect(loaded.readers).toEqual([`TestUser`, `TestUser`]);
+    const readers = await loaded.resolve(`readers`);
+    expect(readers.length).toBe(2);
+    expect(readers[0]).toBeInstanceOf(User);
+    expect(readers[0].profile.name).toBe(`TestUser`);
+
+    loaded.readers.push(`NobodyInParticular`);
+    await expect(loaded.save()).rejects.toThrow(
+      `Property [readers] references User record [NobodyInParticular], which does not exist.`
+    );
+    await (await Shelf.load(`fiction`)).delete();
+  });
+
+  test(`Reference map fields store and resolve dictionaries of records`, async () => {
+    await Models.register(Team);
+    expect(Team.schema.roles.model).toBe(User);
+
+    const team = Team.create({ label: `core`, roles: { lead: user } });
+    team.roles.reviewer = `TestUser`;
+    expect(team.roles.valueOf()).toStrictEqual({
+      lead: `TestUser`,
+      reviewer: `TestUser`,
+    });
+
+    await team.save();
+    expect(
+      JSON.parse(fs.readFileSync(`${storePath}/teams/core.json`))
+    ).toStrictEqual({
+      label: `core`,
+      roles: { lead: `TestUser`, reviewer: `TestUser` },
+    });
+
+    const loaded = await Team.load(`core`);
+    const roles = await loaded.resolve(`roles`);
+    expect(Object.keys(roles)).toStrictEqual([`lead`, `reviewer`]);
+    expect(roles.lead).toBeInstanceOf(User);
+    expect(roles.reviewer.profile.name).toBe(`TestUser`);
+
+    loaded.roles.tester = `NobodyInParticular`;
+    await expect(loaded.save()).rejects.toThrow(
+      `Property [roles] references User record [NobodyInParticular], which does not exist.`
+    );
+    await (await Team.load(`core`)).delete();
+  });
+
+  test(`Async field and model-level validation runs on save`, async () => {
+    await Models.register(Booking);
+    const schemaFile = `${storePath}/bookings/.schema/bookings.1.json`;
+    expect(JSON.parse(fs.readFileSync(schemaFile)).code).toStrictEqual({
+      __meta: {},
+      type: `string`,
+    });
+
+    const booking = await Booking.create({ room: `closed` });
+    try {
+      await booking.save();
+      throw new Error(`save should have failed`);
+    } catch (err) {
+      expect(err.message).toBe(
+        `Booking instance did not pass model validation.`
+      );
+      expect(err.errors).toStrictEqual([`room is closed.`]);
+    }
+
+    booking.room = `open`;
+    booking.guests.push(`alice`, `banned`);
+    expect(booking.guests.length).toBe(2);
+    await expect(booking.validate()).rejects.toThrow(
+      `Booking instance did not pass model validation.`
+    );
+
+    booking.room = `closed`;
+    try {
+      await booking.save();
+      throw new Error(`save should have failed`);
+    } catch (err) {
+      expect(err.errors).toStrictEqual([
+        `guests.1 value failed custom validation.`,
+        `room is closed.`,
+      ]);
+    }
+
+    booking.room = `open`;
+    booking.guests.pop();
+    await booking.validate();
+    await booking.save();
+    expect((await Booking.load(`open`)).room).toBe(`open`);
+    await booking.delete();
+  });
+
+  test(`Generated record names are assigned on first save`, async () => {
+    await Models.register(Memo);
+
+    const memo = await Memo.create({ text: `remember this` });
+    expect(memo.__id).toBe(undefined);
+    await memo.save();
+
+    const id = memo.__id;
+    expect(id).toMatch(/^[0-9A-HJKMNP-TV-Z]{26}$/);
+    expect(() => (memo.__id = `something else`)).toThrow(
+      `__id cannot be changed, as it is read-only.`
+    );
+
+    memo.text = `remember this, too`;
+    await memo.save();
+    expect(memo.__id).toBe(id);
+
+    const loaded = await Memo.load(id);
+    expect(loaded.text).toBe(`remember this, too`);
+    expect(JSON.parse(loaded.toString()).__id).toBe(id);
+    await loaded.delete();
+  });
+
+  test(`Unsaved instances with generated record names cannot be referenced`, async () => {
+    await Models.register(Memo);
+    await Models.register(Pin);
+
+    const memo = await Memo.create({ text: `not saved yet` });
+    const error = `Cannot build a memos record name, because [__id] has no value.`;
+    expect(() => Pin.create({ label: `a`, memo })).toThrow(error);
+
+    const pin = Pin.create({ label: `a` });
+    expect(() => (pin.memo = memo)).toThrow(error);
+    expect(() => pin.related.push(memo)).toThrow(error);
+    expect(pin.memo).toBe(undefined);
+    expect(pin.related).toStrictEqual([]);
+
+    await memo.save();
+    pin.memo = memo;
+    pin.related.push(memo);
+    expect(pin.memo).toBe(memo.__id);
+    expect(pin.related).toStrictEqual([memo.__id]);
+    await memo.delete();
+  });
+
+  test(`Composite record names are built from multiple fields`, async () => {
+    await Models.register(Page);
+
+    const page = await Page.create({ tenant: `acme`, slug: `a/b c` });
+    await page.save();
+
+    const recordPath = `${storePath}/pages/acme%2Fa%252Fb%2520c.json`;
+    expect(fs.existsSync(recordPath)).toBe(true);
+
+    const loaded = await Page.load({ tenant: `acme`, slug: `a/b c` });
+    expect(loaded.slug).toBe(`a/b c`);
+    const byName = await Page.load(`acme/a%2Fb%20c`);
+    expect(byName.tenant).toBe(`acme`);
+
+    const incomplete = await Page.create({ tenant: `acme` });
+    await expect(incomplete.save()).rejects.toThrow(
+      `Cannot build a pages record name, because [slug] has no value.`
+    );
+
+    await loaded.delete();
+    expect(fs.existsSync(recordPath)).toBe(false);
+  });
+
+  test(`Record names are encoded on disk, and can be listed`, async () => {
+    const titles = [`a/b`, `C:\\notes`, `ünïcode: ✓`, `.hidden`];
+    for (const title of titles) {
+      await Note.create({ title }).save();
+    }
+
+    const files = fs.readdirSync(`${storePath}/notes`);
+    expect(files).toContain(`a%2Fb.json`);
+    expect(files).toContain(`C%3A%5Cnotes.json`);
+    expect(files).toContain(`%2Ehidden.json`);
+
+    const names = await Note.list();
+    expect(names).toEqual([...titles, `hello`].sort());
+    expect((await Note.load(`ünïcode: ✓`)).title).toBe(`ünïcode: ✓`);
+
+    await expect(Note.load(`..`)).rejects.toThrow(InvalidRecordName);
+    await expect(Note.create({ title: `../escape` }).save()).rejects.toThrow(
+      `[../escape] is not a valid record name.`
+    );
+
+    for (const title of titles) {
+      await (await Note.load(title)).delete();
+    }
+  });
+
+  test(`Records saved with unencoded file names can be re-encoded`, async () => {
+    const legacyPath = `${storePath}/notes/old note: ✓.json`;
+    fs.writeFileSync(legacyPath, JSON.stringify({ title: `old note: ✓` }));
+    await expect(Note.load(`old note: ✓`)).rejects.toThrow(RecordAccessError);
+
+    const renamed = await Models.store.reencodeRecords(Note.schema);
+    expect(renamed.length).toBe(1);
+    expect(renamed[0].to).toBe(
+      `${storePath}/notes/old%20note%3A%20%E2%9C%93.json`
+    );
+    expect(fs.existsSync(legacyPath)).toBe(false);
+    expect(await Models.store.reencodeRecords(Note.schema)).toEqual([]);
+
+    const loaded = await Note.load(`old note: ✓`);
+    expect(loaded.title).toBe(`old note: ✓`);
+    await loaded.delete();
+  });
+
+  test(`Changing a record name renames the stored record`, async () => {
+    await Note.create({ title: `first draft` }).save();
+    await Note.create({ title: `taken` }).save();
+
+    const note = await Note.load(`first draft`);
+    note.title = `final draft`;
+    await note.save();
+    expect(fs.existsSync(`${storePath}/notes/first%20draft.json`)).toBe(false);
+    expect((await Note.load(`final draft`)).title).toBe(`final draft`);
+
+    note.title = `taken`;
+    await expect(note.save()).rejects.toThrow(RecordAlreadyExists);
+    expect((await Note.load(`final draft`)).title).toBe(`final draft`);
+
+    // deleting uses the record name the note is stored under
+    await note.delete();
+    expect(fs.existsSync(`${storePath}/notes/final%20draft.json`)).toBe(false);
+    expect(fs.existsSync(`${storePath}/notes/taken.json`)).toBe(true);
+    await (await Note.load(`taken`)).delete();
+  });
+
+  test(`Strict models reject stored records with unknown properties`, async () => {
+    await Models.register(Setting);
+    await Setting.create({ key: `theme`, value: `dark` }).save();
+
+    const recordPath = `${storePath}/settings/theme.json`;
+    const data = JSON.parse(fs.readFileSync(recordPath).toString());
+    fs.writeFileSync(recordPath, JSON.stringify({ ...data, valeu: `light` }));
+    await expect(Setting.load(`theme`)).rejects.toThrow(
+      `Setting data contains properties that are not in its schema: [valeu].`
+    );
+    fs.unlinkSync(recordPath);
+  });
+
+  test(`Model subclasses are stored as their own models`, async () => {
+    await Models.register(Truck);
+
+    const truck = await Truck.create({ plate: `TRK-1`, payload: 1000 });
+    await truck.save();
+    expect(fs.existsSync(`${storePath}/trucks/TRK-1.json`)).toBe(true);
+    expect(fs.existsSync(`${storePath}/vehicles/TRK-1.json`)).toBe(false);
+
+    const loaded = await Truck.load(`TRK-1`);
+    expect(loaded).toBeInstanceOf(Vehicle);
+    expect(loaded.wheels).toBe(6);
+    expect(loaded.payload).toBe(1000);
+    await loaded.delete();
+
+    class Bus extends Vehicle {
+      seats = Fields.number();
+    }
+    await expect(Models.register(Bus)).rejects.toThrow(MissingSubclassName);
+  });
+
+  test(`Lifecycle hooks run around saving, loading, and deleting`, async () => {
+    await Models.register(Diary);
+    const recordPath = `${storePath}/diaries/monday.json`;
+
+    const diary = Diary.create({ title: `monday`, secret: `ZGVhciBkaWFyeQ==` });
+    await diary.save();
+    await diary.save();
+    expect(diary.revision).toBe(1);
+    expect(diary.isDirty()).toBe(false);
+    expect(diaryHooks).toStrictEqual([`beforeSave`, `afterSave`]);
+
+    const loaded = await Diary.load(`monday`);
+    expect(loaded.secret).toBe(`dear diary`);
+    expect(loaded.revision).toBe(1);
+    expect(loaded.isDirty()).toBe(false);
+
+    await expect(Diary.create({ title: `draft` }).save()).rejects.toThrow(
+      OperationVetoed
+    );
+    expect(fs.existsSync(`${storePath}/diaries/draft.json`)).toBe(false);
+
+    loaded.locked = true;
+    await expect(loaded.delete()).rejects.toThrow(
+      `Diary.beforeDelete() vetoed the operation.`
+    );
+    expect(fs.existsSync(recordPath)).toBe(true);
+
+    loaded.locked = false;
+    await loaded.delete();
+    expect(fs.existsSync(recordPath)).toBe(false);
+    expect(diaryHooks).toStrictEqual([
+      `beforeSave`,
+      `afterSave`,
+      `afterLoad`,
+      `beforeSave`,
+      `beforeDelete`,
+      `beforeDelete`,
+      `afterDelete`,
+    ]);
+  });
+
+  test(`Timestamped models get createdAt and updatedAt values on save`, async () => {
+    await Models.register(Article);
+
+    const article = Article.create({ slug: `hello` });
+    expect(article.createdAt).toBe(undefined);
+    await article.save();
+    const { createdAt } = article;
+    expect(createdAt).toBeInstanceOf(Date);
+    expect(article.updatedAt).toStrictEqual(createdAt);
+    expect(JSON.parse(article.toString())).toStrictEqual({
+      slug: `hello`,
+      createdAt: createdAt.toISOString(),
+      updatedAt: createdAt.toISOString(),
+    });
+    expect(() => (article.createdAt = new Date())).toThrow(ReadOnlyAssignment);
+
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    const loaded = await Article.load(`hello`);
+    expect(loaded.createdAt).toStrictEqual(createdAt);
+    loaded.body = `world`;
+    await loaded.save();
+    expect(loaded.createdAt).toStrictEqual(createdAt);
+    expect(loaded.updatedAt > createdAt).toBe(true);
+
+    const stored = JSON.parse(
+      fs.readFileSync(`${storePath}/articles/hello.json`).toString()
+    );
+    expect(stored.updatedAt).toBe(loaded.updatedAt.toISOString());
+    await loaded.delete();
+  });
+
   // NOTE: this must be the last test
   test(`Can delete user TestUser`, () => {
     expect(async () => {
@@ -77,4 +77,152 @@ describe(`...`, () => {
       `somefield[].3: value [d] is not in the list of permitted values [a,b,c]`,
     ]);
   });
+
+  test(`date test, coercing ISO strings`, () => {
+    const schema = {
+      when: {
+        __meta: {
+          min: `2000-01-01`,
+        },
+        type: `date`,
+      },
+    };
+
+    const obj = {
+      when: `2021-05-01T12:00:00.000Z`,
+    };
+
+    expect(conforms(schema, obj, true).errors).toStrictEqual([
+      `when: value is not a valid date.`,
+    ]);
+    expect(conforms(schema, obj, false).passed).toBe(true);
+    expect(obj.when).toBeInstanceOf(Date);
+
+    obj.when = new Date(`1999-01-01`);
+    expect(conforms(schema, obj, true).errors).toStrictEqual([
+      `when: value [1999-01-01T00:00:00.000Z] is before 2000-01-01.`,
+    ]);
+  });
+
+  test(`required list test`, () => {
+    let schema = {
+      somefield: {
+        __meta: {
+          array: true,
+          required: true,
+          minItems: 2,
+        },
+        type: `number`,
+      },
+    };
+
+    let result = conforms(schema, { somefield: [1, 2] });
+    expect(result.passed).toBe(true);
+
+    result = conforms(schema, { somefield: [] });
+    expect(result.errors).toStrictEqual([
+      `somefield: empty required array field found.`,
+    ]);
+
+    result = conforms(schema, { somefield: [1] });
+    expect(result.errors).toStrictEqual([
+      `somefield: must have at least 2 items.`,
+    ]);
+  });
+
+  test(`list test, coercing form keypath data`, () => {
+    let schema = {
+      somefield: {
+        __meta: {
+          array: true,
+        },
+        type: `number`,
+      },
+    };
+
+    const obj = {
+      somefield: { 0: `1`, 1: `2`, 2: `` },
+    };
+
+    const strict = false;
+    const result = conforms(schema, obj, strict);
+    expect(result.passed).toBe(true);
+    expect(obj.somefield).toStrictEqual([1, 2]);
+  });
+
+  test(`map test`, () => {
+    let schema = {
+      somefield: {
+        __meta: {
+          map: true,
+          keyPattern: { source: `^[a-z]+$`, flags: `` },
+        },
+        type: `number`,
+      },
+    };
+
+    let result = conforms(schema, { somefield: { a: 1, b: 2 } });
+    expect(result.passed).toBe(true);
+
+    result = conforms(schema, { somefield: { a: `x`, B: 2 } });
+    expect(result.errors).toStrictEqual([
+      `somefield.a: value is not a valid number.`,
+      `somefield: key [B] does not match pattern /^[a-z]+$/.`,
+    ]);
+
+    result = conforms(schema, { somefield: [1, 2] });
+    expect(result.errors).toStrictEqual([
+      `somefield: must be a map of keys to values.`,
+    ]);
+  });
+
+  test(`map test, coercing form keypath data`, () => {
+    let schema = {
+      somefield: {
+        __meta: {
+          map: true,
+        },
+        type: `number`,
+      },
+    };
+
+    const obj = {
+      somefield: {
+        0: { key: `a`, value: `1` },
+        1: { key: ``, value: `` },
+      },
+    };
+
+    const strict = false;
+    const result = conforms(schema, obj, strict);
+    expect(result.passed).toBe(true);
+    expect(obj.somefield).toStrictEqual({ a: 1 });
+  });
+
+  test(`union test`, () => {
+    let schema = {
+      somefield: {
+        __meta: {
+          discriminator: `kind`,
+        },
+        shapes: {
+          a: { __meta: {}, x: { __meta: {}, type: `number` } },
+          b: { __meta: {}, y: { __meta: {}, type: `string` } },
+        },
+      },
+    };
+
+    let result = conforms(schema, { somefield: { kind: `a`, x: 1 } });
+    expect(result.passed).toBe(true);
+
+    result = conforms(schema, { somefield: { kind: `b`, y: 1 } });
+    expect(result.errors).toStrictEqual([
+      `somefield.y: value is not a valid string.`,
+    ]);
+
+    result = conforms(schema, { somefield: { kind: `c` } });
+    expect(result.errors).toStrictEqual([
+      `somefield: kind [c] is not one of [a,b].`,
+    ]);
+  });
 });